@@ -0,0 +1,524 @@
+/* eslint-disable no-restricted-globals */
+// Keeps REST uploads going after their tab has closed. Registered by
+// src/services/backgroundUploader.js when background uploads are enabled.
+//
+// A closing tab posts { type: 'handoff', jobs } describing what is left of each upload
+// it drove. Jobs are kept in IndexedDB next to the files (ResumableUploadDB), so a
+// Background Sync can pick them up again after a network failure or a restart.
+//
+// To the tabs this worker is just another owner: it takes the same per-upload Web Lock
+// and speaks the same channel protocol as src/services/tabCoordinator.js, so open tabs
+// show its progress, forward commands to it and take over when it lets go.
+
+const DB_NAME = 'ResumableUploadDB';
+const FILES_STORE = 'files';
+const JOBS_STORE = 'backgroundJobs';
+const SYNC_TAG = 'resumable-uploads';
+// Must match src/services/tabCoordinator.js
+const CHANNEL_NAME = 'resumable-uploads';
+const LOCK_PREFIX = 'resumable-upload:';
+const RELEASE_DELAY_MS = 1000;
+const OWNER_ID = 'service-worker';
+// The closing tab's locks drop just after pagehide; a tab that was already waiting goes first
+const LOCK_WAIT_MS = 10000;
+const REQUEST_TIMEOUT_MS = 60000;
+// For jobs handed off without retry policies of their own
+const DEFAULT_RETRY_POLICY = { retries: 3, base: 1000, max: 30000, maxRetryAfter: 300000 };
+
+// How an upload goes back to the tab that sent a command, and whether that tab
+// still has to run the command once it owns the upload
+const HANDBACKS = {
+  pauseUpload: { status: 'paused' },
+  cancelUpload: { status: 'paused', replay: true },
+  removeUpload: { status: 'paused', replay: true },
+  setUploadRateLimit: { status: 'uploading', replay: true }
+};
+
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+const canCoordinate = !!channel && !!self.navigator.locks;
+
+// uploadId -> { job, controller, handback }
+const active = new Map();
+// uploadId -> { command, args }, sent on once a tab has claimed the upload
+const pendingCommands = new Map();
+let draining = null;
+
+const post = (message) => channel?.postMessage({ ...message, tabId: OWNER_ID });
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+const sha256Hex = async (data) => toHex(await crypto.subtle.digest('SHA-256', data));
+
+// --- IndexedDB ---
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+let dbPromise = null;
+
+// No version: the page owns the schema and has upgraded it before it can hand anything off
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = promisify(indexedDB.open(DB_NAME)).then((db) => {
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      return db;
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (storeName, mode, operation) => {
+  const db = await openDb();
+  if (!db.objectStoreNames.contains(storeName)) return undefined;
+  return promisify(operation(db.transaction(storeName, mode).objectStore(storeName)));
+};
+
+const getFile = async (uploadId) =>
+  (await withStore(FILES_STORE, 'readonly', (store) => store.get(uploadId)))?.file || null;
+
+const getJobs = async () => (await withStore(JOBS_STORE, 'readonly', (store) => store.getAll())) || [];
+
+const saveJob = (job) => withStore(JOBS_STORE, 'readwrite', (store) => store.put(job));
+
+const deleteJob = (uploadId) => withStore(JOBS_STORE, 'readwrite', (store) => store.delete(uploadId));
+
+// --- Chunks (same layout as src/utils/chunks.js) ---
+
+const isVariable = (job) => job.chunkMode === 'variable';
+
+const getChunkRange = (job, chunkIndex) => {
+  const planned = job.chunkRanges?.[chunkIndex];
+  if (planned) {
+    return { start: planned[0], end: planned[1] };
+  }
+
+  const start = chunkIndex * job.chunkSize;
+  return { start, end: Math.min(start + job.chunkSize, job.filesize) };
+};
+
+const getUploadedBytes = (job) =>
+  job.uploadedChunks.reduce((total, chunkIndex) => {
+    const { start, end } = getChunkRange(job, chunkIndex);
+    return total + (end - start);
+  }, 0);
+
+// A chunk that is planned but not on the server yet, or for variable-size uploads
+// a new range after the last planned byte. Null once everything has been sent.
+const getNextChunk = (job) => {
+  const plannedIndexes = isVariable(job)
+    ? Object.keys(job.chunkRanges || {}).map(Number).sort((a, b) => a - b)
+    : Array.from({ length: job.totalChunks }, (_, chunkIndex) => chunkIndex);
+
+  const chunkIndex = plannedIndexes.find((index) => !job.uploadedChunks.includes(index));
+  if (chunkIndex !== undefined) {
+    return { chunkIndex, ...getChunkRange(job, chunkIndex) };
+  }
+  if (!isVariable(job)) return null;
+
+  const start = Object.values(job.chunkRanges || {}).reduce((max, [, end]) => Math.max(max, end), 0);
+  if (start >= job.filesize) return null;
+
+  return {
+    chunkIndex: plannedIndexes.length > 0 ? plannedIndexes[plannedIndexes.length - 1] + 1 : 0,
+    start,
+    end: Math.min(start + job.chunkSize, job.filesize)
+  };
+};
+
+const toSnapshot = (job, overrides = {}) => {
+  const uploadedBytes = getUploadedBytes(job);
+  return {
+    uploadId: job.uploadId,
+    status: 'uploading',
+    uploadedChunks: job.uploadedChunks,
+    uploadedBytes,
+    progress: Math.min((uploadedBytes / job.filesize) * 100, 100),
+    totalChunks: job.totalChunks,
+    ...(isVariable(job) ? { chunkRanges: job.chunkRanges } : {}),
+    ...(job.checksums ? { chunkChecksums: job.chunkChecksums } : {}),
+    ...overrides
+  };
+};
+
+const mirror = (job, overrides) => post({ type: 'upload', upload: toSnapshot(job, overrides) });
+
+// --- API ---
+
+// Same as getRetryAfterMs in src/services/apiClient.js: delay-seconds or an HTTP date,
+// as ms, or null when absent or unparseable
+const getRetryAfterMs = (value, now = Date.now()) => {
+  if (value == null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+const request = async (job, method, path, { body, json, signal } = {}) => {
+  signal?.throwIfAborted();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const response = await fetch(`${job.apiUrl}${path}`, {
+      method,
+      headers: {
+        'Cache-Control': 'no-cache',
+        ...(job.token ? { Authorization: `Bearer ${job.token}` } : {}),
+        ...(json !== undefined ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: json !== undefined ? JSON.stringify(json) : body,
+      signal: controller.signal
+    });
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      const error = new Error(data?.message || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      error.retryAfter = getRetryAfterMs(response.headers.get('Retry-After'));
+      throw error;
+    }
+    return data;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+};
+
+// Network errors, timeouts and the statuses the page retries too; anything else goes back to a tab
+const isRetryable = (error) => !error.status || [408, 425, 429].includes(error.status) || error.status >= 500;
+
+// Same backoff as withRetry in src/services/apiClient.js, with the policy the page
+// handed off for the operation
+const withRetry = async (operation, signal, policy = DEFAULT_RETRY_POLICY) => {
+  const { retries, base, max, maxRetryAfter } = { ...DEFAULT_RETRY_POLICY, ...policy };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (signal.aborted || !isRetryable(error) || attempt >= retries) throw error;
+
+      const delay = error.retryAfter != null
+        ? Math.min(error.retryAfter, maxRetryAfter)
+        : Math.floor(Math.random() * Math.min(max, base * 2 ** attempt));
+      await sleep(delay, signal);
+    }
+  }
+};
+
+// Same token bucket as src/services/rateLimiter.js, for the limit the job was handed
+// off with: a chunk waits until a second's worth of bytes has accrued, or all of its own
+const createThrottle = (rate) => {
+  let tokens = 0;
+  let lastRefill = Date.now();
+
+  return async (bytes, signal) => {
+    if (!rate) return;
+    for (;;) {
+      const now = Date.now();
+      tokens = Math.min(rate, tokens + ((now - lastRefill) / 1000) * rate);
+      lastRefill = now;
+
+      const needed = Math.min(bytes, rate);
+      if (tokens >= needed) {
+        tokens -= bytes;
+        return;
+      }
+      await sleep(((needed - tokens) / rate) * 1000, signal);
+    }
+  };
+};
+
+const sendChunk = (job, { blob, chunkIndex, start, end, checksum }, signal) => {
+  const formData = new FormData();
+  formData.append('chunk', blob);
+  formData.append('chunkIndex', chunkIndex);
+  formData.append('offset', start);
+  formData.append('size', end - start);
+  if (!isVariable(job)) {
+    formData.append('totalChunks', job.totalChunks);
+  }
+  if (checksum) {
+    formData.append('checksum', checksum);
+    formData.append('checksumAlgorithm', 'sha256');
+  }
+  return request(job, 'POST', `/${job.uploadId}/chunk`, { body: formData, signal });
+};
+
+// A tab may have sent more since the job was written; the server knows what it has
+const reconcile = async (job, signal) => {
+  const server = await withRetry(
+    () => request(job, 'GET', `/${job.uploadId}/status`, { signal }),
+    signal,
+    job.retryPolicies?.status
+  );
+  const chunkRanges = { ...(job.chunkRanges || {}) };
+  (server.chunks || []).forEach(({ chunkIndex, offset, size }) => {
+    chunkRanges[chunkIndex] = [Number(offset), Number(offset) + Number(size)];
+  });
+
+  return {
+    job: {
+      ...job,
+      uploadedChunks: (server.uploadedChunks || []).map(Number),
+      chunkRanges,
+      totalChunks: isVariable(job) ? Math.max(job.totalChunks || 0, Object.keys(chunkRanges).length) : job.totalChunks
+    },
+    completed: server.status === 'completed'
+  };
+};
+
+// Same composite checksum as src/services/checksumService.js
+const buildIntegrity = async (job, file) => {
+  const digests = [];
+  for (let chunkIndex = 0; chunkIndex < job.totalChunks; chunkIndex++) {
+    let digest = job.chunkChecksums?.[chunkIndex];
+    if (!digest) {
+      const { start, end } = getChunkRange(job, chunkIndex);
+      digest = await sha256Hex(await file.slice(start, end).arrayBuffer());
+    }
+    digests.push(digest);
+  }
+
+  return {
+    checksum: await sha256Hex(new TextEncoder().encode(digests.join(''))),
+    checksumAlgorithm: 'sha256',
+    checksumType: 'composite',
+    chunkChecksums: digests
+  };
+};
+
+const runJob = async (entry, file, signal) => {
+  const reconciled = await reconcile(entry.job, signal);
+  entry.job = reconciled.job;
+  if (reconciled.completed) return;
+  mirror(entry.job);
+
+  const throttle = createThrottle(entry.job.rateLimit);
+  for (let next = getNextChunk(entry.job); next; next = getNextChunk(entry.job)) {
+    const { chunkIndex, start, end } = next;
+    const blob = file.slice(start, end);
+    const checksum = entry.job.checksums ? await sha256Hex(await blob.arrayBuffer()) : undefined;
+
+    await withRetry(async () => {
+      // Retries resend the bytes, so each attempt waits for its own tokens
+      await throttle(end - start, signal);
+      return sendChunk(entry.job, { blob, chunkIndex, start, end, checksum }, signal);
+    }, signal, entry.job.retryPolicies?.chunk);
+
+    const { job } = entry;
+    entry.job = {
+      ...job,
+      uploadedChunks: [...job.uploadedChunks, chunkIndex].sort((a, b) => a - b),
+      ...(isVariable(job)
+        ? { chunkRanges: { ...job.chunkRanges, [chunkIndex]: [start, end] }, totalChunks: Math.max(job.totalChunks || 0, chunkIndex + 1) }
+        : {}),
+      ...(checksum ? { chunkChecksums: { ...job.chunkChecksums, [chunkIndex]: checksum } } : {})
+    };
+    await saveJob(entry.job);
+    mirror(entry.job);
+  }
+
+  const integrity = entry.job.checksums ? await buildIntegrity(entry.job, file) : undefined;
+  await withRetry(
+    () => request(entry.job, 'POST', `/${entry.job.uploadId}/complete`, { json: integrity ?? {}, signal }),
+    signal,
+    entry.job.retryPolicies?.complete
+  );
+};
+
+// Mirrors where the upload ended up and gives waiting tabs a moment to hear it
+// before the lock reaches them
+const finish = async (entry, overrides) => {
+  mirror(entry.job, overrides);
+  await sleep(RELEASE_DELAY_MS);
+};
+
+// Resolves true when nothing is left to do for the job, false to try again later
+const driveJob = async (job) => {
+  const { uploadId } = job;
+  const lockWait = new AbortController();
+  const lockTimer = setTimeout(() => lockWait.abort(), LOCK_WAIT_MS);
+
+  try {
+    return await self.navigator.locks.request(`${LOCK_PREFIX}${uploadId}`, { signal: lockWait.signal }, async () => {
+      clearTimeout(lockTimer);
+      const entry = { job, controller: new AbortController(), handback: null };
+      active.set(uploadId, entry);
+      post({ type: 'claim', uploadId });
+
+      try {
+        const file = await getFile(uploadId);
+        // Removed in a tab since it was handed off
+        if (!file) {
+          await deleteJob(uploadId);
+          return true;
+        }
+
+        await runJob(entry, file, entry.controller.signal);
+        await deleteJob(uploadId);
+        await finish(entry, { status: 'completed' });
+        return true;
+      } catch (error) {
+        if (entry.handback) {
+          await deleteJob(uploadId);
+          await finish(entry, { status: entry.handback.status });
+          return true;
+        }
+        if (isRetryable(error)) {
+          return false;
+        }
+
+        // Rejected outright (auth, checksums, ...); the page knows how to deal with it
+        await deleteJob(uploadId);
+        await finish(entry, {
+          status: 'paused',
+          lastError: `Background upload stopped: ${error.message}`,
+          lastErrorAt: new Date().toISOString()
+        });
+        return true;
+      } finally {
+        active.delete(uploadId);
+        post({ type: 'release', uploadId });
+      }
+    });
+  } catch (error) {
+    // Still held after the wait: an open tab drives it now
+    if (error.name === 'AbortError') {
+      await deleteJob(uploadId);
+      return true;
+    }
+    console.error('Background upload failed', uploadId, error);
+    return false;
+  } finally {
+    clearTimeout(lockTimer);
+  }
+};
+
+// One pass over every stored job, one upload at a time. Jobs handed off while the
+// pass runs are picked up before it ends.
+const drain = () => {
+  if (!draining) {
+    draining = (async () => {
+      const attempted = new Set();
+      let finished = true;
+
+      for (;;) {
+        const job = (await getJobs()).find(({ uploadId }) => !attempted.has(uploadId));
+        if (!job) break;
+        attempted.add(job.uploadId);
+        if (!(await driveJob(job))) finished = false;
+      }
+      return finished;
+    })().finally(() => {
+      draining = null;
+    });
+  }
+  return draining;
+};
+
+const handleChannelMessage = (message) => {
+  if (!message || message.tabId === OWNER_ID) return;
+
+  switch (message.type) {
+    case 'hello':
+      active.forEach(({ job }) => mirror(job));
+      break;
+    case 'command': {
+      const entry = active.get(message.uploadId);
+      const handback = HANDBACKS[message.command];
+      if (!entry || !handback || entry.handback) break;
+
+      entry.handback = handback;
+      if (handback.replay) {
+        pendingCommands.set(message.uploadId, { command: message.command, args: message.args || [] });
+      }
+      entry.controller.abort();
+      break;
+    }
+    case 'claim': {
+      const pending = pendingCommands.get(message.uploadId);
+      if (!pending) break;
+      pendingCommands.delete(message.uploadId);
+      post({ type: 'command', uploadId: message.uploadId, ...pending });
+      break;
+    }
+    default:
+      break;
+  }
+};
+
+if (channel) {
+  channel.onmessage = (event) => handleChannelMessage(event.data);
+}
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+// Control the page that registered us right away, so it can hand off when it closes
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', (event) => {
+  const { type, jobs } = event.data || {};
+  if (type !== 'handoff' || !canCoordinate || !Array.isArray(jobs)) return;
+
+  event.waitUntil((async () => {
+    await Promise.all(jobs.map(saveJob));
+
+    // Background Sync runs the jobs now if we're online, otherwise once we are
+    if (self.registration.sync) {
+      try {
+        await self.registration.sync.register(SYNC_TAG);
+        return;
+      } catch (error) {
+        console.error('Background Sync unavailable, uploading right away', error);
+      }
+    }
+    await drain();
+  })());
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== SYNC_TAG || !canCoordinate) return;
+
+  event.waitUntil(drain().then((finished) => {
+    // A failed sync is retried by the browser later
+    if (!finished && !event.lastChance) {
+      throw new Error('Background uploads incomplete');
+    }
+  }));
+});
\ No newline at end of file
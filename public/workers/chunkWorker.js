@@ -0,0 +1,45 @@
+/* eslint-disable no-restricted-globals */
+// Reads and hashes file slices off the main thread. Loaded as a classic
+// worker script by src/services/chunkWorkerClient.js.
+//
+// Request:  { id, type, payload }
+// Response: { id, result } or { id, error }
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+const sha256Hex = async (buffer) => toHex(await crypto.subtle.digest('SHA-256', buffer));
+
+const handlers = {
+  async prepareChunk({ file, start, end, checksum }) {
+    const buffer = await file.slice(start, end).arrayBuffer();
+    return {
+      result: { buffer, checksum: checksum ? await sha256Hex(buffer) : undefined },
+      transfer: [buffer]
+    };
+  },
+
+  async hashBlob({ blob }) {
+    const buffer = await blob.arrayBuffer();
+    return { result: { checksum: await sha256Hex(buffer) } };
+  }
+};
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data || {};
+  const handler = handlers[type];
+
+  if (!handler) {
+    self.postMessage({ id, error: `Unknown request type: ${type}` });
+    return;
+  }
+
+  try {
+    const { result, transfer = [] } = await handler(payload);
+    self.postMessage({ id, result }, transfer);
+  } catch (error) {
+    self.postMessage({ id, error: (error && error.message) || 'Worker request failed' });
+  }
+};
\ No newline at end of file
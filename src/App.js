@@ -1,6 +1,8 @@
 import React from 'react';
 import UploadDropzone from './components/UploadDropzone';
 import UploadList from './components/UploadList';
+import UploadHistory from './components/UploadHistory';
+import UploadSettings from './components/UploadSettings';
 import './App.css';
 
 function App() {
@@ -8,8 +10,10 @@ function App() {
     <div className="App">
       <div className="container">
         <h1>Resumable File Upload</h1>
+        <UploadSettings />
         <UploadDropzone />
         <UploadList />
+        <UploadHistory />
       </div>
     </div>
   );
@@ -1,11 +1,32 @@
-import React from 'react';
+import React, { useRef } from 'react';
 import UploadControls from './UploadControls';
 import UploadProgress from './UploadProgress';
+import RateLimitSelect from './RateLimitSelect';
+import UploadMetadata from './UploadMetadata';
+import FilePreview from './FilePreview';
+import PassphraseForm from './PassphraseForm';
 import { useUpload } from '../hooks/useUploads';
+import { useNow } from '../hooks/useNow';
+import { formatDuration } from '../utils/throughput';
+import { getUploadTransport } from '../services/transports';
 import './ActiveUpload.css';
 
 const ActiveUpload = ({ uploadId }) => {
-  const { upload, isResuming, startUpload, pauseUpload, resumeUpload, cancelUpload, removeUpload } = useUpload(uploadId);
+  const {
+    upload,
+    isResuming,
+    startUpload,
+    pauseUpload,
+    resumeUpload,
+    reselectFile,
+    unlockUpload,
+    setRateLimit,
+    updateMetadata,
+    cancelUpload,
+    removeUpload
+  } = useUpload(uploadId);
+  const reselectInputRef = useRef(null);
+  const now = useNow(1000, !!upload?.nextRetryAt);
 
   if (!upload) {
     return null;
@@ -35,6 +56,23 @@ const ActiveUpload = ({ uploadId }) => {
     }
   };
 
+  const handleReselect = () => {
+    reselectInputRef.current?.click();
+  };
+
+  const handleReselectInput = async (e) => {
+    const file = e.target.files[0];
+    // Reset file input value to allow picking the same file again after a mismatch
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      await reselectFile(file);
+    } catch (error) {
+      console.error('Error reselecting file:', error);
+    }
+  };
+
   const handleCancel = async () => {
     try {
       await cancelUpload();
@@ -57,8 +95,8 @@ const ActiveUpload = ({ uploadId }) => {
     let message = upload.lastError;
     if (message.includes('Failed to reconcile status')) {
       message = 'Unable to check upload status. Please check your connection and try again.';
-    } else if (message.includes('File not available after refresh')) {
-      message = 'File needs to be reselected after page refresh. Click Resume to select the file.';
+    } else if (upload.needsFile && !message.includes('Selected file does not match')) {
+      message = 'The file needs to be reselected. Click Reselect file to choose it again.';
     } else if (message.includes('Network offline')) {
       message = 'You are offline. Please check your internet connection.';
     } else if (message.includes('Chunk') && message.includes('failed')) {
@@ -70,12 +108,32 @@ const ActiveUpload = ({ uploadId }) => {
 
   const errorMessage = getErrorMessage();
 
+  const getRetryMessage = () => {
+    if (!upload.retryAttempt) return null;
+    const remainingMs = (upload.nextRetryAt || 0) - now;
+    const when = remainingMs > 500 ? `in ${formatDuration(remainingMs / 1000)}` : 'now';
+    return `Retrying ${when} (attempt ${upload.retryAttempt})`;
+  };
+
+  const retryMessage = getRetryMessage();
+
   return (
     <div className="active-upload">
       <div className="upload-header">
-        <h3>{upload.filename}</h3>
-        <span className="file-size">
+        <div className="upload-title">
+          <FilePreview upload={upload} />
+          <h3 title={upload.relativePath || upload.filename}>
+            {upload.relativePath || upload.filename}
+          </h3>
+          {upload.encryption && (
+            <span className="encrypted-badge" title={`Chunks are encrypted with ${upload.encryption.algorithm} before upload`}>
+              🔒
+            </span>
+          )}
+        </div>
+        <span className="file-size" title={upload.originalSize ? 'Image was resized or stripped of metadata before upload' : undefined}>
           {(upload.filesize / (1024 * 1024)).toFixed(2)} MB
+          {upload.originalSize ? ` (was ${(upload.originalSize / (1024 * 1024)).toFixed(2)} MB)` : ''}
         </span>
       </div>
       
@@ -86,12 +144,44 @@ const ActiveUpload = ({ uploadId }) => {
         </div>
       )}
       
+      {retryMessage && (
+        <div className="retry-notice" title={upload.lastRetryError || undefined}>
+          {retryMessage}
+        </div>
+      )}
+
+      <input
+        ref={reselectInputRef}
+        type="file"
+        accept={upload.filetype || undefined}
+        onChange={handleReselectInput}
+        className="hidden"
+        aria-label={`Reselect ${upload.filename}`}
+      />
+
+      {upload.needsPassphrase && (
+        <div className="unlock-upload">
+          <PassphraseForm
+            label="Passphrase this upload was encrypted with"
+            submitLabel="Unlock"
+            onSubmit={unlockUpload}
+          />
+        </div>
+      )}
+
+      <UploadMetadata
+        metadata={upload.metadata}
+        editable={upload.status === 'pending' && getUploadTransport(upload).supportsMetadataUpdate}
+        onSave={updateMetadata}
+      />
+
       <UploadProgress upload={upload} />
       <UploadControls
         upload={upload}
         onUpload={handleUpload}
         onPause={handlePause}
         onResume={handleResume}
+        onReselect={handleReselect}
         onCancel={handleCancel}
         onRemove={handleRemove}
         isResuming={isResuming}
@@ -106,6 +196,14 @@ const ActiveUpload = ({ uploadId }) => {
             File needs to be reselected
           </span>
         )}
+        {upload.status !== 'completed' && (
+          <RateLimitSelect
+            label="Average limit"
+            value={upload.rateLimit}
+            onChange={setRateLimit}
+            unlimitedLabel="Global limit only"
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,48 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { getFileIcon, previewService } from '../services/previewService';
+import './FilePreview.css';
+
+// Thumbnail for an upload card, generated once the card scrolls into view; until then,
+// and for files that can't be previewed, the card shows an icon for the file's type
+const FilePreview = ({ upload, compact = false }) => {
+  const containerRef = useRef(null);
+  const [isVisible, setIsVisible] = useState(typeof IntersectionObserver === 'undefined');
+  const [preview, setPreview] = useState(() => previewService.peek(upload) || null);
+
+  useEffect(() => {
+    if (isVisible || !containerRef.current) return undefined;
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) setIsVisible(true);
+    }, { rootMargin: '200px' });
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, [isVisible]);
+
+  const { uploadId, fingerprint, file, filetype, filename } = upload;
+  useEffect(() => {
+    if (!isVisible) return undefined;
+    let active = true;
+    previewService
+      .getPreview({ uploadId, fingerprint, file, filetype, filename })
+      .then(url => {
+        if (active) setPreview(url);
+      });
+    return () => {
+      active = false;
+    };
+  }, [isVisible, uploadId, fingerprint, file, filetype, filename]);
+
+  const { icon, label } = getFileIcon({ type: filetype, name: filename });
+
+  return (
+    <div ref={containerRef} className={`file-preview ${compact ? 'compact' : ''}`} title={label}>
+      {preview ? (
+        <img src={preview} alt={`Preview of ${filename}`} className="file-preview-image" />
+      ) : (
+        <span className="file-preview-icon" role="img" aria-label={label}>{icon}</span>
+      )}
+    </div>
+  );
+};
+
+export default FilePreview;
\ No newline at end of file
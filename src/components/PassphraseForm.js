@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import './PassphraseForm.css';
+
+// A passphrase field with its own busy and error state; onSubmit may throw to show why
+// the passphrase was refused. With confirm, a new passphrase has to be typed twice,
+// since a typo would leave the uploads encrypted under a passphrase nobody knows.
+const PassphraseForm = ({ label, submitLabel, busyLabel = 'Checking...', confirm = false, onSubmit }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!passphrase) return;
+    if (confirm && passphrase !== confirmation) {
+      setError('Passphrases do not match');
+      return;
+    }
+
+    setIsBusy(true);
+    setError(null);
+    try {
+      await onSubmit(passphrase);
+      setPassphrase('');
+      setConfirmation('');
+    } catch (submitError) {
+      setError(submitError?.message || 'Passphrase was not accepted');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <form className="passphrase-form" onSubmit={handleSubmit}>
+      <label className="passphrase-field">
+        <span>{label}</span>
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          autoComplete={confirm ? 'new-password' : 'off'}
+          disabled={isBusy}
+        />
+      </label>
+      {confirm && (
+        <label className="passphrase-field">
+          <span>Confirm passphrase</span>
+          <input
+            type="password"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            autoComplete="new-password"
+            disabled={isBusy}
+          />
+        </label>
+      )}
+      <button type="submit" className="btn btn-primary" disabled={isBusy || !passphrase || (confirm && !confirmation)}>
+        {isBusy ? busyLabel : submitLabel}
+      </button>
+      {error && <div className="passphrase-error" role="alert">{error}</div>}
+    </form>
+  );
+};
+
+export default PassphraseForm;
\ No newline at end of file
@@ -0,0 +1,42 @@
+import React from 'react';
+import './RateLimitSelect.css';
+
+const MB = 1024 * 1024;
+
+const RATE_OPTIONS = [
+  { label: '256 KB/s', value: 256 * 1024 },
+  { label: '512 KB/s', value: 512 * 1024 },
+  { label: '1 MB/s', value: 1 * MB },
+  { label: '2 MB/s', value: 2 * MB },
+  { label: '5 MB/s', value: 5 * MB },
+  { label: '10 MB/s', value: 10 * MB },
+  { label: '25 MB/s', value: 25 * MB }
+];
+
+const RateLimitSelect = ({ value, onChange, label, unlimitedLabel = 'Unlimited' }) => {
+  const handleChange = (e) => {
+    const rate = Number(e.target.value);
+    if (onChange) onChange(rate > 0 ? rate : null);
+  };
+
+  // Keep a configured value selectable even if it isn't one of the presets
+  const options = value && !RATE_OPTIONS.some(option => option.value === value)
+    ? [...RATE_OPTIONS, { label: `${(value / MB).toFixed(2)} MB/s`, value }].sort((a, b) => a.value - b.value)
+    : RATE_OPTIONS;
+
+  return (
+    <label className="rate-limit-select">
+      <span>{label}</span>
+      <select value={value || 0} onChange={handleChange}>
+        <option value={0}>{unlimitedLabel}</option>
+        {options.map(option => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default RateLimitSelect;
\ No newline at end of file
@@ -0,0 +1,34 @@
+import React from 'react';
+
+const WIDTH = 80;
+const HEIGHT = 18;
+
+const ThroughputSparkline = ({ history = [] }) => {
+  if (history.length < 2) {
+    return null;
+  }
+
+  const peak = Math.max(...history.map(sample => sample.bytesPerSecond), 1);
+  const step = WIDTH / (history.length - 1);
+  const points = history
+    .map((sample, index) => {
+      const x = index * step;
+      const y = HEIGHT - (sample.bytesPerSecond / peak) * HEIGHT;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+
+  return (
+    <svg
+      className="throughput-sparkline"
+      width={WIDTH}
+      height={HEIGHT}
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      aria-label="Throughput history"
+    >
+      <polyline points={points} fill="none" stroke="#007bff" strokeWidth="1.5" />
+    </svg>
+  );
+};
+
+export default ThroughputSparkline;
\ No newline at end of file
@@ -1,7 +1,7 @@
 import React from 'react';
 import './UploadControls.css';
 
-const UploadControls = ({ upload, onUpload, onPause, onResume, onCancel, onRemove, isResuming }) => {
+const UploadControls = ({ upload, onUpload, onPause, onResume, onReselect, onCancel, onRemove, isResuming }) => {
   const handleStart = () => {
     if (onUpload) onUpload(upload);
   };
@@ -14,6 +14,10 @@ const UploadControls = ({ upload, onUpload, onPause, onResume, onCancel, onRemov
     if (onResume) onResume(upload);
   };
 
+  const handleReselect = () => {
+    if (onReselect) onReselect(upload);
+  };
+
   const handleCancel = () => {
     if (onCancel) onCancel(upload);
   };
@@ -26,7 +30,13 @@ const UploadControls = ({ upload, onUpload, onPause, onResume, onCancel, onRemov
 
   return (
     <div className="upload-controls">
-      {(upload.status === 'pending' || upload.status === 'paused') && (
+      {upload.needsFile && (
+        <button onClick={handleReselect} className="btn btn-primary" disabled={isDisabled}>
+          Reselect file
+        </button>
+      )}
+
+      {!upload.needsFile && (upload.status === 'pending' || upload.status === 'paused') && (
         <button
           onClick={upload.status === 'pending' ? handleStart : handleResume}
           className="btn btn-primary"
@@ -45,13 +55,13 @@ const UploadControls = ({ upload, onUpload, onPause, onResume, onCancel, onRemov
         </button>
       )}
 
-      {upload.status === 'uploading' && (
+      {(upload.status === 'uploading' || upload.status === 'queued') && (
         <button onClick={handlePause} className="btn btn-secondary" disabled={isDisabled}>
           Pause
         </button>
       )}
 
-      {(upload.status === 'uploading' || upload.status === 'paused') && (
+      {(upload.status === 'uploading' || upload.status === 'queued' || upload.status === 'paused') && (
         <button onClick={handleCancel} className="btn btn-danger" disabled={isDisabled}>
           Cancel
         </button>
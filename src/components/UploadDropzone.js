@@ -1,46 +1,67 @@
 import React, { useState, useRef, useCallback } from 'react';
 import { useUploads } from '../hooks/useUploads';
+import { getFilesFromDataTransfer, getFilesFromFileList } from '../utils/fileEntries';
+import { describeValidationPolicy, validateFiles } from '../services/fileValidation';
+import { processImageEntries } from '../services/imageProcessor';
+import { getUploadConfig } from '../config/uploadConfig';
 import './UploadDropzone.css';
 
+const formatMB = (bytes) => (bytes / (1024 * 1024)).toFixed(2);
+
 const UploadDropzone = () => {
   const [isDragging, setIsDragging] = useState(false);
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [isProcessing, setIsProcessing] = useState(false);
+  const [selectedFiles, setSelectedFiles] = useState([]);
+  // Batches keep arriving while earlier ones are still being initiated
+  const [pendingCount, setPendingCount] = useState(0);
+  // Files the validation policy turned away in the latest batch, with reasons
+  const [rejectedFiles, setRejectedFiles] = useState([]);
   const fileInputRef = useRef(null);
   const { addUpload } = useUploads();
 
-  const handleFileSelect = useCallback(async (file) => {
-    // Prevent multiple file selections while processing
-    if (isProcessing) return;
-    
-    // Validate file
-    if (!file || file.size === 0) {
-      console.error('Invalid file selected');
-      return;
-    }
+  const isProcessing = pendingCount > 0;
+
+  const handleFilesSelect = useCallback(async (entries) => {
+    if (entries.length === 0) return;
 
-    setIsProcessing(true);
-    setSelectedFile(file);
-    
+    // Validated before image processing, so files the policy refuses are never decoded,
+    // and processed images once more, as a converted image may no longer pass
+    let validEntries, rejected;
+    setPendingCount(count => count + entries.length);
     try {
-      await addUpload(file);
-    } catch (error) {
-      console.error('Error adding upload:', error);
-      // Reset selected file on error
-      setSelectedFile(null);
+      ({ accepted: validEntries, rejected } = await validateFiles(entries));
+      if (getUploadConfig().imageProcessing.enabled && validEntries.length > 0) {
+        const processed = await validateFiles(await processImageEntries(validEntries));
+        validEntries = processed.accepted;
+        rejected = [...rejected, ...processed.rejected];
+      }
     } finally {
-      setIsProcessing(false);
-      // Reset file input value to allow selecting the same file again
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
+      setPendingCount(count => count - entries.length);
+    }
+    setRejectedFiles(rejected);
+
+    if (validEntries.length === 0) return;
+
+    setSelectedFiles(validEntries);
+    setPendingCount(count => count + validEntries.length);
+
+    for (const { file, relativePath, originalSize, imageProcessing } of validEntries) {
+      try {
+        await addUpload(file, { relativePath, originalSize, imageProcessing });
+      } catch (error) {
+        console.error('Error adding upload:', relativePath, error);
+        setSelectedFiles(current => current.filter(entry => entry.file !== file));
+      } finally {
+        setPendingCount(count => count - 1);
       }
     }
-  }, [addUpload, isProcessing]);
+  }, [addUpload]);
 
   const handleFileInput = useCallback((e) => {
-    const file = e.target.files[0];
-    handleFileSelect(file);
-  }, [handleFileSelect]);
+    const entries = getFilesFromFileList(e.target.files);
+    // Reset file input value to allow selecting the same files again
+    e.target.value = '';
+    handleFilesSelect(entries);
+  }, [handleFilesSelect]);
 
   const handleDragEnter = useCallback((e) => {
     e.preventDefault();
@@ -59,20 +80,23 @@ const UploadDropzone = () => {
     e.stopPropagation();
   }, []);
 
-  const handleDrop = useCallback((e) => {
+  const handleDrop = useCallback(async (e) => {
     e.preventDefault();
     e.stopPropagation();
     setIsDragging(false);
-    
-    const file = e.dataTransfer.files[0];
-    handleFileSelect(file);
-  }, [handleFileSelect]);
+
+    const entries = await getFilesFromDataTransfer(e.dataTransfer);
+    handleFilesSelect(entries);
+  }, [handleFilesSelect]);
 
   const handleClick = useCallback(() => {
-    if (!isProcessing) {
-      fileInputRef.current?.click();
-    }
-  }, [isProcessing]);
+    fileInputRef.current?.click();
+  }, []);
+
+  const totalSelectedBytes = selectedFiles.reduce((total, { file }) => total + file.size, 0);
+  const totalOriginalBytes = selectedFiles.reduce((total, { file, originalSize }) => total + (originalSize ?? file.size), 0);
+  const describeSize = (bytes, originalBytes) =>
+    originalBytes !== bytes ? `${formatMB(bytes)} MB, was ${formatMB(originalBytes)} MB` : `${formatMB(bytes)} MB`;
 
   return (
     <div className="upload-container">
@@ -87,26 +111,52 @@ const UploadDropzone = () => {
         <input
           ref={fileInputRef}
           type="file"
+          multiple
           onChange={handleFileInput}
           className="file-input"
-          aria-label="Select file to upload"
-          disabled={isProcessing}
+          aria-label="Select files to upload"
         />
         <div className="dropzone-content">
           {isProcessing ? (
-            <p>Processing file...</p>
+            <p>Processing {pendingCount} {pendingCount === 1 ? 'file' : 'files'}...</p>
           ) : (
             <>
-              <p>Drag & drop a file here, or click to select</p>
-              <p className="file-size-limit">Supports files up to 1GB</p>
+              <p>Drag & drop files or folders here, or click to select</p>
+              <p className="file-size-limit">{describeValidationPolicy()}</p>
             </>
           )}
         </div>
       </div>
-      
-      {selectedFile && (
+
+      {rejectedFiles.length > 0 && (
+        <div className="rejected-files" role="alert">
+          <div className="rejected-files-header">
+            <span>
+              {rejectedFiles.length} {rejectedFiles.length === 1 ? 'file was' : 'files were'} not added
+            </span>
+            <button onClick={() => setRejectedFiles([])} className="rejected-files-dismiss" aria-label="Dismiss rejected files">
+              ✕
+            </button>
+          </div>
+          <ul>
+            {rejectedFiles.map(({ relativePath, reasons }, index) => (
+              <li key={`${relativePath}-${index}`}>
+                <span className="rejected-file-name">{relativePath}</span>: {reasons.join('; ')}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {selectedFiles.length === 1 && (
+        <div className="selected-file">
+          <p>Selected: {selectedFiles[0].relativePath} ({describeSize(selectedFiles[0].file.size, selectedFiles[0].originalSize ?? selectedFiles[0].file.size)})</p>
+        </div>
+      )}
+
+      {selectedFiles.length > 1 && (
         <div className="selected-file">
-          <p>Selected: {selectedFile.name} ({(selectedFile.size / (1024 * 1024)).toFixed(2)} MB)</p>
+          <p>Selected: {selectedFiles.length} files ({describeSize(totalSelectedBytes, totalOriginalBytes)})</p>
         </div>
       )}
     </div>
@@ -0,0 +1,110 @@
+import React, { useMemo, useState } from 'react';
+import UploadHistoryItem from './UploadHistoryItem';
+import { useUploadHistory } from '../hooks/useUploads';
+import { FINISHED_STATUSES, UPLOAD_STATUS } from '../stores/uploadTypes';
+import './UploadHistory.css';
+
+const FILTERS = [
+  { key: 'all', label: 'All', statuses: FINISHED_STATUSES },
+  { key: UPLOAD_STATUS.COMPLETED, label: 'Completed', statuses: [UPLOAD_STATUS.COMPLETED] },
+  { key: UPLOAD_STATUS.FAILED, label: 'Failed', statuses: [UPLOAD_STATUS.FAILED] },
+  { key: UPLOAD_STATUS.CANCELED, label: 'Canceled', statuses: [UPLOAD_STATUS.CANCELED] }
+];
+
+const getFinishedTime = (upload) => new Date(upload.finishedAt || upload.completedAt || upload.createdAt).getTime();
+
+const SORTS = {
+  newest: { label: 'Newest first', compare: (a, b) => getFinishedTime(b) - getFinishedTime(a) },
+  oldest: { label: 'Oldest first', compare: (a, b) => getFinishedTime(a) - getFinishedTime(b) },
+  largest: { label: 'Largest first', compare: (a, b) => b.filesize - a.filesize },
+  smallest: { label: 'Smallest first', compare: (a, b) => a.filesize - b.filesize }
+};
+
+const UploadHistory = () => {
+  const { uploads, clearUploadsByStatus, removeUpload } = useUploadHistory();
+  const [filterKey, setFilterKey] = useState('all');
+  const [search, setSearch] = useState('');
+  const [sortKey, setSortKey] = useState('newest');
+
+  const filter = FILTERS.find(({ key }) => key === filterKey);
+
+  const visibleUploads = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    return uploads
+      .filter(upload => filter.statuses.includes(upload.status))
+      .filter(upload => !query || (upload.relativePath || upload.filename).toLowerCase().includes(query))
+      .sort(SORTS[sortKey].compare);
+  }, [uploads, filter, search, sortKey]);
+
+  if (uploads.length === 0) {
+    return null;
+  }
+
+  const countFor = (statuses) => uploads.filter(upload => statuses.includes(upload.status)).length;
+
+  const handleRemove = async (uploadId) => {
+    try {
+      await removeUpload(uploadId);
+    } catch (error) {
+      console.error('Error removing upload from history:', error);
+    }
+  };
+
+  const handleClear = () => {
+    const count = countFor(filter.statuses);
+    const what = filter.key === 'all' ? 'finished' : filter.label.toLowerCase();
+    if (window.confirm(`Clear ${count} ${what} ${count === 1 ? 'upload' : 'uploads'} from the history?`)) {
+      clearUploadsByStatus(filter.statuses);
+    }
+  };
+
+  return (
+    <div className="upload-history">
+      <div className="upload-history-header">
+        <h2>History</h2>
+        <button className="btn btn-secondary" onClick={handleClear} disabled={countFor(filter.statuses) === 0}>
+          Clear {filter.key === 'all' ? 'all' : filter.label.toLowerCase()}
+        </button>
+      </div>
+
+      <div className="history-tabs" role="tablist">
+        {FILTERS.map(({ key, label, statuses }) => (
+          <button
+            key={key}
+            role="tab"
+            aria-selected={key === filterKey}
+            className={`history-tab ${key === filterKey ? 'active' : ''}`}
+            onClick={() => setFilterKey(key)}
+          >
+            {label} ({countFor(statuses)})
+          </button>
+        ))}
+      </div>
+
+      <div className="history-toolbar">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search by filename"
+          aria-label="Search history by filename"
+        />
+        <select value={sortKey} onChange={(e) => setSortKey(e.target.value)} aria-label="Sort history">
+          {Object.entries(SORTS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {visibleUploads.length === 0 ? (
+        <p className="history-empty">No uploads match.</p>
+      ) : (
+        visibleUploads.map(upload => (
+          <UploadHistoryItem key={upload.uploadId} upload={upload} onRemove={handleRemove} />
+        ))
+      )}
+    </div>
+  );
+};
+
+export default UploadHistory;
\ No newline at end of file
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import FilePreview from './FilePreview';
+import { formatDuration, formatRate } from '../utils/throughput';
+import './UploadHistoryItem.css';
+
+const formatMB = (bytes) => (bytes / (1024 * 1024)).toFixed(2);
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : '--');
+
+const UploadHistoryItem = ({ upload, onRemove }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  const elapsedSeconds = upload.elapsedMs ? upload.elapsedMs / 1000 : null;
+  const averageSpeed = elapsedSeconds ? (upload.uploadedBytes || 0) / elapsedSeconds : null;
+  // Uploads from before the error history only have their last message
+  const errors = upload.errorHistory?.length
+    ? upload.errorHistory
+    : upload.lastError ? [{ message: upload.lastError, at: upload.lastErrorAt }] : [];
+
+  return (
+    <div className="upload-history-item">
+      <div className="history-item-summary">
+        <FilePreview upload={upload} compact />
+        <button
+          className="history-item-toggle"
+          onClick={() => setExpanded(value => !value)}
+          aria-expanded={expanded}
+          title={upload.relativePath || upload.filename}
+        >
+          <span className="history-item-caret">{expanded ? '▾' : '▸'}</span>
+          <span className="history-item-name">{upload.relativePath || upload.filename}</span>
+        </button>
+        <span className="history-item-size">
+          {formatMB(upload.filesize)} MB{upload.originalSize ? ` (was ${formatMB(upload.originalSize)} MB)` : ''}
+        </span>
+        <span className={`status-badge status-${upload.status}`}>{upload.status}</span>
+        <button className="history-item-remove" onClick={() => onRemove(upload.uploadId)} aria-label={`Remove ${upload.filename} from history`}>
+          ✕
+        </button>
+      </div>
+
+      {expanded && (
+        <dl className="history-item-details">
+          <dt>Started</dt>
+          <dd>{formatDate(upload.startedAt || upload.createdAt)}</dd>
+          <dt>Finished</dt>
+          <dd>{formatDate(upload.finishedAt || upload.completedAt)}</dd>
+          <dt>Duration</dt>
+          <dd>{formatDuration(elapsedSeconds)}</dd>
+          <dt>Average speed</dt>
+          <dd>{averageSpeed ? formatRate(averageSpeed) : '--'}</dd>
+          {upload.s3Key && (
+            <>
+              <dt>Storage key</dt>
+              <dd className="history-item-key">{upload.s3Key}</dd>
+            </>
+          )}
+          {errors.length > 0 && (
+            <>
+              <dt>Errors</dt>
+              <dd>
+                <ul className="history-item-errors">
+                  {errors.map((error, index) => (
+                    <li key={index}>
+                      <span className="history-error-time">{formatDate(error.at)}</span> {error.message}
+                    </li>
+                  ))}
+                </ul>
+              </dd>
+            </>
+          )}
+        </dl>
+      )}
+    </div>
+  );
+};
+
+export default UploadHistoryItem;
\ No newline at end of file
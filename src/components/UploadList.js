@@ -1,21 +1,58 @@
 import React from 'react';
 import ActiveUpload from './ActiveUpload';
-import { useUploads } from '../hooks/useUploads';
+import UploadQueueControls from './UploadQueueControls';
+import { useUploads, useUploadQueue } from '../hooks/useUploads';
+import { FINISHED_STATUSES } from '../stores/uploadTypes';
+import { formatRate } from '../utils/throughput';
 import './UploadList.css';
 
 const UploadList = () => {
-  const { uploads } = useUploads();
+  const { uploads: allUploads, isServerUnavailable } = useUploads();
+  const { queue, moveUp, moveDown, bumpPriority } = useUploadQueue();
+  // Finished uploads live in UploadHistory
+  const uploads = allUploads.filter(upload => !FINISHED_STATUSES.includes(upload.status));
 
   if (uploads.length === 0) {
     return null;
   }
 
+  const activeUploads = uploads.filter(upload => upload.status === 'uploading');
+  const totalThroughput = activeUploads.reduce((total, upload) => total + (upload.smoothedThroughput || 0), 0);
+
   return (
     <div className="upload-list">
-      <h2>Active Uploads</h2>
-      {uploads.map(upload => (
-        <ActiveUpload key={upload.uploadId} uploadId={upload.uploadId} />
-      ))}
+      <div className="upload-list-header">
+        <h2>Active Uploads</h2>
+        {activeUploads.length > 0 && (
+          <span className="aggregate-throughput">
+            {formatRate(totalThroughput)} across {activeUploads.length} {activeUploads.length === 1 ? 'upload' : 'uploads'}
+          </span>
+        )}
+      </div>
+      {isServerUnavailable && (
+        <div className="server-unavailable-banner" role="status">
+          Upload server unavailable. Uploads are paused and will resume automatically when it is back.
+        </div>
+      )}
+      {uploads.map(upload => {
+        const queueIndex = queue.indexOf(upload.uploadId);
+
+        return (
+          <div key={upload.uploadId} className="upload-list-item">
+            {upload.status === 'queued' && queueIndex !== -1 && (
+              <UploadQueueControls
+                uploadId={upload.uploadId}
+                position={queueIndex + 1}
+                queueLength={queue.length}
+                onMoveUp={moveUp}
+                onMoveDown={moveDown}
+                onBumpPriority={bumpPriority}
+              />
+            )}
+            <ActiveUpload uploadId={upload.uploadId} />
+          </div>
+        );
+      })}
     </div>
   );
 };
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { METADATA_FIELDS, getCustomFields, hasMetadata, normalizeMetadata } from '../utils/metadata';
+import './UploadMetadata.css';
+
+const toDraft = (metadata = {}) => ({
+  fields: Object.fromEntries(METADATA_FIELDS.map(({ key }) => [
+    key,
+    key === 'tags' ? (metadata.tags || []).join(', ') : metadata[key] || ''
+  ])),
+  custom: getCustomFields(metadata).map(([key, value]) => ({ key, value }))
+});
+
+// A custom field can't stand in for one of the named ones
+const fromDraft = ({ fields, custom }) =>
+  normalizeMetadata({
+    ...fields,
+    ...Object.fromEntries(getCustomFields(Object.fromEntries(custom.map(({ key, value }) => [key.trim(), value]))))
+  });
+
+const UploadMetadata = ({ metadata, editable, onSave }) => {
+  const [draft, setDraft] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isEditing = draft !== null;
+
+  if (!isEditing && !hasMetadata(metadata) && !editable) {
+    return null;
+  }
+
+  const setField = (key, value) =>
+    setDraft(current => ({ ...current, fields: { ...current.fields, [key]: value } }));
+
+  const setCustom = (index, updates) =>
+    setDraft(current => ({
+      ...current,
+      custom: current.custom.map((field, i) => (i === index ? { ...field, ...updates } : field))
+    }));
+
+  const addCustom = () =>
+    setDraft(current => ({ ...current, custom: [...current.custom, { key: '', value: '' }] }));
+
+  const removeCustom = (index) =>
+    setDraft(current => ({ ...current, custom: current.custom.filter((_, i) => i !== index) }));
+
+  const handleEdit = () => {
+    setError(null);
+    setDraft(toDraft(metadata));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onSave(fromDraft(draft));
+      setDraft(null);
+    } catch (saveError) {
+      setError(saveError?.message || 'Failed to save metadata');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isEditing) {
+    return (
+      <form className="upload-metadata editing" onSubmit={handleSave}>
+        {METADATA_FIELDS.map(({ key, label }) => (
+          <label key={key} className="metadata-field">
+            <span>{label}</span>
+            {key === 'description' ? (
+              <textarea value={draft.fields[key]} onChange={(e) => setField(key, e.target.value)} rows={2} />
+            ) : (
+              <input
+                type="text"
+                value={draft.fields[key]}
+                onChange={(e) => setField(key, e.target.value)}
+                placeholder={key === 'tags' ? 'Comma-separated' : undefined}
+              />
+            )}
+          </label>
+        ))}
+
+        {draft.custom.map(({ key, value }, index) => (
+          <div key={index} className="metadata-custom-field">
+            <input
+              type="text"
+              value={key}
+              onChange={(e) => setCustom(index, { key: e.target.value })}
+              placeholder="Field"
+              aria-label="Custom field name"
+            />
+            <input
+              type="text"
+              value={value}
+              onChange={(e) => setCustom(index, { value: e.target.value })}
+              placeholder="Value"
+              aria-label="Custom field value"
+            />
+            <button type="button" className="metadata-remove-field" onClick={() => removeCustom(index)} aria-label="Remove field">
+              ✕
+            </button>
+          </div>
+        ))}
+
+        {error && <div className="metadata-error">{error}</div>}
+
+        <div className="metadata-actions">
+          <button type="button" className="metadata-link" onClick={addCustom}>
+            + Custom field
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={() => setDraft(null)} disabled={isSaving}>
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={isSaving}>
+            {isSaving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="upload-metadata">
+      {hasMetadata(metadata) && (
+        <dl className="metadata-summary">
+          {METADATA_FIELDS.filter(({ key }) => metadata[key]).map(({ key, label }) => (
+            <React.Fragment key={key}>
+              <dt>{label}</dt>
+              <dd>
+                {key === 'tags'
+                  ? metadata.tags.map(tag => <span key={tag} className="metadata-tag">{tag}</span>)
+                  : metadata[key]}
+              </dd>
+            </React.Fragment>
+          ))}
+          {getCustomFields(metadata).map(([key, value]) => (
+            <React.Fragment key={key}>
+              <dt>{key}</dt>
+              <dd>{value}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      )}
+      {editable && (
+        <button type="button" className="metadata-link" onClick={handleEdit}>
+          {hasMetadata(metadata) ? 'Edit metadata' : 'Add metadata'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default UploadMetadata;
\ No newline at end of file
@@ -1,11 +1,33 @@
 import React from 'react';
+import ThroughputSparkline from './ThroughputSparkline';
+import { useNow } from '../hooks/useNow';
+import { useInFlightBytes } from '../stores/inFlightStore';
+import {
+  calculateThroughput,
+  estimateRemainingSeconds,
+  formatDuration,
+  formatRate,
+  getElapsedMs,
+  getTransferredBytes
+} from '../utils/throughput';
 import './UploadProgress.css';
 
 const UploadProgress = ({ upload }) => {
-  // Calculate progress percentage
-  const progress = upload.progress || 0;
-  const uploadedMB = (upload.uploadedBytes / (1024 * 1024)) || 0;
+  const isUploading = upload.status === 'uploading';
+  const now = useNow(1000, isUploading);
+  // Only tracked in the tab sending the chunks; other tabs step chunk by chunk
+  const inFlightBytes = useInFlightBytes(upload.uploadId);
+
+  // Calculate progress percentage, including bytes of chunks still in flight
+  const transferredBytes = getTransferredBytes(upload, inFlightBytes);
+  const progress = upload.filesize ? (transferredBytes / upload.filesize) * 100 : (upload.progress || 0);
+  const uploadedMB = (transferredBytes / (1024 * 1024)) || 0;
   const totalMB = upload.filesize ? (upload.filesize / (1024 * 1024)) : 0;
+
+  const currentRate = calculateThroughput(upload.chunkTimings, now);
+  const remainingBytes = Math.max((upload.filesize || 0) - transferredBytes, 0);
+  const remainingSeconds = estimateRemainingSeconds(remainingBytes, upload.smoothedThroughput);
+  const elapsedSeconds = getElapsedMs(upload, now) / 1000;
   
   return (
     <div className="upload-progress">
@@ -19,6 +41,19 @@ const UploadProgress = ({ upload }) => {
           style={{ width: `${progress}%` }}
         ></div>
       </div>
+      {(isUploading || elapsedSeconds > 0) && (
+        <div className="progress-stats">
+          {isUploading && (
+            <>
+              <span title="Current speed">{formatRate(currentRate)}</span>
+              <span title="Average speed">avg {formatRate(upload.smoothedThroughput)}</span>
+              <span title="Time remaining">{formatDuration(remainingSeconds)} left</span>
+            </>
+          )}
+          <span title="Time spent uploading">{formatDuration(elapsedSeconds)} elapsed</span>
+          {isUploading && <ThroughputSparkline history={upload.throughputHistory} />}
+        </div>
+      )}
     </div>
   );
 };
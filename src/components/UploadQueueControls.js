@@ -0,0 +1,42 @@
+import React from 'react';
+import './UploadQueueControls.css';
+
+const UploadQueueControls = ({ uploadId, position, queueLength, onMoveUp, onMoveDown, onBumpPriority }) => {
+  const isFirst = position === 1;
+  const isLast = position === queueLength;
+
+  return (
+    <div className="upload-queue-controls">
+      <span className="queue-position">
+        Queue position {position} of {queueLength}
+      </span>
+      <div className="queue-buttons">
+        <button
+          onClick={() => onMoveUp(uploadId)}
+          className="queue-btn"
+          disabled={isFirst}
+          aria-label="Move up in queue"
+        >
+          ↑
+        </button>
+        <button
+          onClick={() => onMoveDown(uploadId)}
+          className="queue-btn"
+          disabled={isLast}
+          aria-label="Move down in queue"
+        >
+          ↓
+        </button>
+        <button
+          onClick={() => onBumpPriority(uploadId)}
+          className="queue-btn"
+          disabled={isFirst}
+        >
+          Upload next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default UploadQueueControls;
\ No newline at end of file
@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import RateLimitSelect from './RateLimitSelect';
+import PassphraseForm from './PassphraseForm';
+import { useUploadSettings } from '../hooks/useUploads';
+import { getUploadConfig } from '../config/uploadConfig';
+import { encryptionService } from '../services/encryptionService';
+import './UploadSettings.css';
+
+// The passphrase lives only in memory, so it's asked for again after a reload
+const EncryptionSettings = () => {
+  const [hasPassphrase, setHasPassphrase] = useState(() => encryptionService.hasPassphrase());
+
+  const setPassphrase = (passphrase) => {
+    encryptionService.setPassphrase(passphrase);
+    setHasPassphrase(encryptionService.hasPassphrase());
+  };
+
+  if (!hasPassphrase) {
+    return (
+      <PassphraseForm
+        label="Encryption passphrase for new uploads"
+        submitLabel="Use passphrase"
+        confirm
+        onSubmit={setPassphrase}
+      />
+    );
+  }
+
+  return (
+    <div className="encryption-settings">
+      <span>🔒 New uploads are encrypted</span>
+      <button type="button" className="btn btn-secondary" onClick={() => setPassphrase(null)}>
+        Change passphrase
+      </button>
+    </div>
+  );
+};
+
+const UploadSettings = () => {
+  const { settings, setGlobalRateLimit } = useUploadSettings();
+
+  return (
+    <div className="upload-settings">
+      {getUploadConfig().encryption.enabled && <EncryptionSettings />}
+      <RateLimitSelect
+        label="Average upload speed limit"
+        value={settings.rateLimit}
+        onChange={setGlobalRateLimit}
+      />
+    </div>
+  );
+};
+
+export default UploadSettings;
\ No newline at end of file
@@ -0,0 +1,128 @@
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const parseQuality = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return parsed > 0 && parsed <= 1 ? parsed : fallback;
+};
+
+const parseList = (value) =>
+  (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+export const MIN_CHUNK_CONCURRENCY = 1;
+export const MAX_CHUNK_CONCURRENCY = 8;
+
+const defaultConfig = {
+  // In-flight chunk requests per upload when initiateUpload doesn't specify one
+  defaultChunkConcurrency: parsePositiveInt(process.env.REACT_APP_CHUNK_CONCURRENCY, 3),
+  // When set, wins over every per-upload concurrency value
+  chunkConcurrencyOverride: null,
+  // Uploads the scheduler lets run at once; the rest wait in the queue
+  maxConcurrentUploads: parsePositiveInt(process.env.REACT_APP_MAX_CONCURRENT_UPLOADS, 2),
+  // SHA-256 each chunk and send a whole-file checksum on complete
+  chunkChecksums: process.env.REACT_APP_CHUNK_CHECKSUMS !== 'false',
+  // Slice and hash chunks in a Web Worker when the browser supports it
+  useWorkers: process.env.REACT_APP_USE_WORKERS !== 'false',
+  // 'sample' (head + tail + size) or 'full'; see services/fingerprintService
+  fingerprintMode: process.env.REACT_APP_FINGERPRINT_MODE || 'sample',
+  // Starting value of the shared upload rate limit in bytes per second; users can change it live
+  defaultRateLimit: parsePositiveInt(process.env.REACT_APP_UPLOAD_RATE_LIMIT, null),
+  // Protocol for new uploads: 'rest' (our own API), 's3' (presigned multipart) or 'tus'; see services/transports
+  transport: process.env.REACT_APP_UPLOAD_TRANSPORT || 'rest',
+  // tus creation endpoint, used when transport is 'tus'
+  tusEndpoint: process.env.REACT_APP_TUS_ENDPOINT || 'http://localhost:4000/files/',
+  // Let a Service Worker finish REST uploads after their tab closes; see services/backgroundUploader
+  backgroundUploads: process.env.REACT_APP_BACKGROUND_UPLOADS === 'true',
+  // Encrypt every new upload's chunks in the browser with a key wrapped by the user's
+  // passphrase; see services/encryptionService. Not available with the tus transport.
+  encryption: {
+    enabled: process.env.REACT_APP_ENCRYPTION === 'true',
+    // PBKDF2 rounds for deriving the wrapping key from the passphrase
+    kdfIterations: parsePositiveInt(process.env.REACT_APP_ENCRYPTION_KDF_ITERATIONS, 600000)
+  },
+  // Per operation: attempts after the first, backoff base and cap, and the longest
+  // Retry-After we'll honor (ms). Operations without an entry use 'default'.
+  retryPolicies: {
+    default: { retries: 5, base: 1000, max: 30000, maxRetryAfter: 300000 },
+    // Nothing is stored yet, so give up quickly and let the user try again
+    initiate: { retries: 3, base: 1000, max: 10000, maxRetryAfter: 60000 },
+    // Chunks carry the bulk of a long transfer; ride out longer outages
+    chunk: { retries: 8, base: 1000, max: 60000, maxRetryAfter: 600000 },
+    complete: { retries: 6, base: 2000, max: 60000, maxRetryAfter: 600000 }
+  },
+  // Checked in the dropzone before anything is initiated; see services/fileValidation.
+  // Empty type and extension lists allow everything.
+  validation: {
+    minFileSize: parsePositiveInt(process.env.REACT_APP_MIN_FILE_SIZE, 1),
+    maxFileSize: parsePositiveInt(process.env.REACT_APP_MAX_FILE_SIZE, 1024 * 1024 * 1024),
+    // Exact types or wildcards such as 'image/*'
+    allowedMimeTypes: parseList(process.env.REACT_APP_ALLOWED_MIME_TYPES),
+    // Without the dot, e.g. 'pdf'
+    allowedExtensions: parseList(process.env.REACT_APP_ALLOWED_EXTENSIONS),
+    // Compare the first bytes with the claimed type, so a renamed file can't slip through
+    sniffContent: process.env.REACT_APP_SNIFF_FILE_CONTENT !== 'false',
+    sanitizeFilenames: true,
+    maxFilesPerBatch: parsePositiveInt(process.env.REACT_APP_MAX_FILES_PER_BATCH, 500)
+  },
+  // Optional pass over picked images before they are initiated; see services/imageProcessor.
+  // Larger images are scaled down to fit and re-encoded, and EXIF/GPS data is dropped.
+  imageProcessing: {
+    enabled: process.env.REACT_APP_IMAGE_PROCESSING === 'true',
+    types: ['image/jpeg', 'image/png', 'image/webp'],
+    maxWidth: parsePositiveInt(process.env.REACT_APP_IMAGE_MAX_WIDTH, 2560),
+    maxHeight: parsePositiveInt(process.env.REACT_APP_IMAGE_MAX_HEIGHT, 2560),
+    // Encoder quality for JPEG and WebP output
+    quality: parseQuality(process.env.REACT_APP_IMAGE_QUALITY, 0.85),
+    // Convert everything to this type, e.g. 'image/webp'; null keeps each image's own type
+    outputType: process.env.REACT_APP_IMAGE_OUTPUT_TYPE || null,
+    stripMetadata: process.env.REACT_APP_IMAGE_STRIP_METADATA !== 'false'
+  },
+  // Consecutive API failures (network errors and 5xx, across all uploads) that pause
+  // everything, and how often the server is probed while it stays unavailable
+  circuitBreaker: {
+    failureThreshold: parsePositiveInt(process.env.REACT_APP_CIRCUIT_FAILURE_THRESHOLD, 5),
+    probeIntervalMs: parsePositiveInt(process.env.REACT_APP_CIRCUIT_PROBE_INTERVAL_MS, 15000)
+  }
+};
+
+let config = { ...defaultConfig };
+
+export const getUploadConfig = () => config;
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Sections such as validation or retryPolicies are merged one level deep, so overriding
+// one setting keeps the rest of its section
+export const configureUploads = (overrides = {}) => {
+  config = Object.entries(overrides).reduce((merged, [key, value]) => ({
+    ...merged,
+    [key]: isPlainObject(value) && isPlainObject(merged[key]) ? { ...merged[key], ...value } : value
+  }), config);
+  return config;
+};
+
+export const resetUploadConfig = () => {
+  config = { ...defaultConfig };
+  return config;
+};
+
+export const clampChunkConcurrency = (value) => {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed)) return MIN_CHUNK_CONCURRENCY;
+  return Math.min(MAX_CHUNK_CONCURRENCY, Math.max(MIN_CHUNK_CONCURRENCY, parsed));
+};
+
+export const resolveChunkConcurrency = (upload) => {
+  const { chunkConcurrencyOverride, defaultChunkConcurrency } = config;
+  if (chunkConcurrencyOverride != null) {
+    return clampChunkConcurrency(chunkConcurrencyOverride);
+  }
+  return clampChunkConcurrency(upload?.concurrency ?? defaultChunkConcurrency);
+};
+
+export const getRetryPolicy = (operation) => {
+  const { retryPolicies = {} } = config;
+  return { ...defaultConfig.retryPolicies.default, ...retryPolicies.default, ...retryPolicies[operation] };
+};
\ No newline at end of file
@@ -0,0 +1,15 @@
+import { useEffect, useState } from 'react';
+
+// Re-renders on an interval so time-based readouts stay current
+export const useNow = (intervalMs = 1000, enabled = true) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    setNow(Date.now());
+    const id = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs, enabled]);
+
+  return now;
+};
\ No newline at end of file
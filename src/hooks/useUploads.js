@@ -1,5 +1,18 @@
 import { useUploadStore } from '../stores/uploadStore';
 import { uploadActions } from '../stores/uploadActions';
+import { uploadScheduler } from '../stores/uploadScheduler';
+import { FINISHED_STATUSES } from '../stores/uploadTypes';
+
+// Wrapped so the actions keep uploadActions as `this`; defined once so callbacks that
+// depend on them stay stable across renders
+const listActions = {
+  addUpload: (file, options) => uploadActions.initiateUpload(file, options),
+  startUpload: (uploadId) => uploadActions.startUpload(uploadId),
+  pauseUpload: (uploadId) => uploadActions.pauseUpload(uploadId),
+  resumeUpload: (uploadId) => uploadActions.resumeUpload(uploadId),
+  cancelUpload: (uploadId) => uploadActions.cancelUpload(uploadId),
+  removeUpload: (uploadId) => uploadActions.removeUpload(uploadId)
+};
 
 // Main hook for upload operations
 export const useUploads = () => {
@@ -11,14 +24,10 @@ export const useUploads = () => {
     isLoading: uiState.isLoading,
     error: uiState.error,
     isOffline: uiState.isOffline,
+    isServerUnavailable: uiState.isServerUnavailable,
     isResuming: uiState.isResuming,
     dragOver: uiState.dragOver,
-    addUpload: uploadActions.initiateUpload,
-    startUpload: uploadActions.startUpload,
-    pauseUpload: uploadActions.pauseUpload,
-    resumeUpload: uploadActions.resumeUpload,
-    cancelUpload: uploadActions.cancelUpload,
-    removeUpload: uploadActions.removeUpload
+    ...listActions
   };
 };
 
@@ -33,11 +42,27 @@ export const useUpload = (uploadId) => {
     startUpload: () => uploadActions.startUpload(uploadId),
     pauseUpload: () => uploadActions.pauseUpload(uploadId),
     resumeUpload: () => uploadActions.resumeUpload(uploadId),
+    reselectFile: (file) => uploadActions.reselectFile(uploadId, file),
+    unlockUpload: (passphrase) => uploadActions.unlockUpload(uploadId, passphrase),
+    setRateLimit: (rateLimit) => uploadActions.setUploadRateLimit(uploadId, rateLimit),
+    updateMetadata: (metadata) => uploadActions.updateUploadMetadata(uploadId, metadata),
     cancelUpload: () => uploadActions.cancelUpload(uploadId),
     removeUpload: () => uploadActions.removeUpload(uploadId)
   };
 };
 
+// Hook for the scheduler queue
+export const useUploadQueue = () => {
+  const queue = useUploadStore(state => state.queue);
+
+  return {
+    queue,
+    moveUp: (uploadId) => uploadScheduler.moveUp(uploadId),
+    moveDown: (uploadId) => uploadScheduler.moveDown(uploadId),
+    bumpPriority: (uploadId) => uploadScheduler.bumpPriority(uploadId)
+  };
+};
+
 // Hook for active uploads only
 export const useActiveUploads = () => {
   const activeUploads = useUploadStore(state => state.getActiveUploads());
@@ -50,6 +75,28 @@ export const useUploadsByStatus = (status) => {
   return uploads;
 };
 
+// Hook for finished uploads and the bulk clears of the history view
+export const useUploadHistory = () => {
+  const uploads = useUploadStore(state => state.getUploads());
+  const { clearUploadsByStatus } = useUploadStore.getState();
+
+  return {
+    uploads: uploads.filter(upload => FINISHED_STATUSES.includes(upload.status)),
+    clearUploadsByStatus,
+    removeUpload: uploadActions.removeUpload
+  };
+};
+
+// Hook for settings shared by every upload
+export const useUploadSettings = () => {
+  const settings = useUploadStore(state => state.getSettings());
+
+  return {
+    settings,
+    setGlobalRateLimit: uploadActions.setGlobalRateLimit
+  };
+};
+
 // Hook for UI state
 export const useUIState = () => {
   const uiState = useUploadStore(state => state.getUIState());
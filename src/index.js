@@ -5,6 +5,11 @@ import './index.css';
 
 import { useUploadStore } from './stores/uploadStore';
 import { uploadActions } from './stores/uploadActions';
+import { uploadScheduler } from './stores/uploadScheduler';
+import { circuitBreaker, CIRCUIT_STATE } from './services/circuitBreaker';
+import { probeApiHealth } from './services/apiClient';
+import { tabCoordinator } from './services/tabCoordinator';
+import { backgroundUploader } from './services/backgroundUploader';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 
@@ -38,7 +43,8 @@ function initConnectivityHandlers() {
     setOnline();
     const uploads = getUploads();
     for (const u of uploads) {
-      if (u.status === 'paused') {
+      // Every tab gets the event; each resumes only what it drives
+      if (u.status === 'paused' && !tabCoordinator.isOwnedElsewhere(u.uploadId)) {
         try {
           uploadActions.resumeUpload(u.uploadId);
         } catch (e) {
@@ -46,6 +52,8 @@ function initConnectivityHandlers() {
         }
       }
     }
+    // Queued uploads were held back while offline
+    uploadScheduler.pump();
   };
 
   if (typeof navigator !== 'undefined' && !navigator.onLine) {
@@ -56,12 +64,50 @@ function initConnectivityHandlers() {
   window.addEventListener('online', handleOnline);
 }
 
+function initCircuitBreakerHandlers() {
+  circuitBreaker.setProbe(probeApiHealth);
+  circuitBreaker.subscribe((state) => {
+    if (state === CIRCUIT_STATE.OPEN) {
+      uploadActions.suspendForOutage();
+    } else if (state === CIRCUIT_STATE.CLOSED) {
+      uploadActions.resumeAfterOutage();
+    }
+  });
+}
+
+// Commands other tabs may forward to the tab that owns an upload
+const REMOTE_COMMANDS = [
+  'startUpload',
+  'pauseUpload',
+  'resumeUpload',
+  'cancelUpload',
+  'removeUpload',
+  'setUploadRateLimit',
+  'updateUploadMetadata'
+];
+
+function initTabCoordination() {
+  tabCoordinator.start({
+    onTakeover: (uploadId) => {
+      uploadActions.takeOverUpload(uploadId).catch(error => {
+        console.error('Failed to take over upload', uploadId, error);
+      });
+    },
+    onCommand: (command, uploadId, args) => {
+      if (!REMOTE_COMMANDS.includes(command)) return;
+      Promise.resolve(uploadActions[command](uploadId, ...args)).catch(error => {
+        console.error(`Forwarded ${command} failed for upload`, uploadId, error);
+      });
+    }
+  });
+}
+
 function initVisibilityAutoResume() {
   const onFocus = async () => {
     const { getUploads } = useUploadStore.getState();
     const uploads = getUploads();
     for (const u of uploads) {
-      if (['pending', 'paused', 'uploading'].includes(u.status)) {
+      if (['pending', 'paused', 'uploading'].includes(u.status) && !tabCoordinator.isOwnedElsewhere(u.uploadId)) {
         try {
           await uploadActions.refreshStatus(u.uploadId);
           if (typeof navigator === 'undefined' || navigator.onLine) {
@@ -80,8 +126,13 @@ function initVisibilityAutoResume() {
 
 async function bootstrap() {
   initConnectivityHandlers();
+  initCircuitBreakerHandlers();
 
   await waitForRehydrate();
+  // Before the auto-resume below, so uploads another tab drives are left to it
+  initTabCoordination();
+  // Opt-in; hands this tab's uploads to a Service Worker when it closes
+  backgroundUploader.start();
 
   try {
     await uploadActions.initAfterRehydrate({ autoResumeOnReload: true });
@@ -0,0 +1,156 @@
+import axios from 'axios';
+import { authProvider } from './authProvider';
+import { circuitBreaker, createCircuitOpenError, isCircuitOpenError } from './circuitBreaker';
+import { abortableSleep, isAbortError, throwIfAborted } from '../utils/abort';
+
+const isUnauthorized = (error) => error?.response?.status === 401;
+
+// Only failures that say the server is down count toward opening the circuit;
+// offline is handled on its own, and 4xx answers prove the server is up
+const isServerFailure = (error) => {
+  if (isAbortError(error) || isCircuitOpenError(error)) return false;
+  if (typeof navigator !== 'undefined' && !navigator.onLine) return false;
+  return !error?.response || error.response.status >= 500;
+};
+
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000/api/uploads';
+
+const createApiClient = () => {
+  const client = axios.create({
+    baseURL: API_BASE_URL,
+    timeout: 30000,
+    headers: {
+      'Cache-Control': 'no-cache',
+      'Pragma': 'no-cache'
+    }
+  });
+
+  client.interceptors.request.use(async (config) => {
+    if (circuitBreaker.isOpen() && !config.circuitProbe) {
+      throw createCircuitOpenError();
+    }
+
+    const token = await authProvider.getToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    config.authToken = token;
+    return config;
+  });
+
+  // An expired token gets one refresh and one replay, outside withRetry's attempt count
+  client.interceptors.response.use(
+    (res) => {
+      if (!res.config?.circuitProbe) circuitBreaker.recordSuccess();
+      return res;
+    },
+    async (error) => {
+      const { config } = error || {};
+      if (!config?.circuitProbe) {
+        if (isServerFailure(error)) {
+          circuitBreaker.recordFailure();
+        } else if (error?.response) {
+          circuitBreaker.recordSuccess();
+        }
+      }
+
+      if (!isUnauthorized(error) || !config || config.authRetried || !authProvider.canRefresh()) {
+        if (isUnauthorized(error)) authProvider.notifyFailure(error);
+        return Promise.reject(error);
+      }
+
+      // Skip the refresh when another request already did one while this was in flight
+      if (config.authToken === authProvider.token) {
+        try {
+          await authProvider.refresh();
+        } catch (refreshError) {
+          authProvider.notifyFailure(refreshError);
+          return Promise.reject(error);
+        }
+      }
+      return client({ ...config, authRetried: true });
+    }
+  );
+
+  return client;
+};
+
+let sharedClient = null;
+
+// One client for the whole app, so interceptors and auth state are set up once
+export const getApiClient = () => {
+  if (!sharedClient) {
+    sharedClient = createApiClient();
+  }
+  return sharedClient;
+};
+
+// Used by the circuit breaker while it is open: any answer below 500 means the server is back
+export const probeApiHealth = async () => {
+  try {
+    await getApiClient().get('/status', { circuitProbe: true, timeout: 10000 });
+    return true;
+  } catch (error) {
+    return !!error?.response && error.response.status < 500;
+  }
+};
+
+export const isRetryableError = (error) => {
+  if (isAbortError(error)) return false;
+  // Everything is paused until the probe sees the server again
+  if (isCircuitOpenError(error)) return false;
+  // The client already refreshed and replayed once; another try won't fix credentials
+  if (isUnauthorized(error)) return false;
+  if (!error || !error.response) {
+    return true;
+  }
+  const status = error.response.status;
+  // 408, 425, 429, 5xx are retryable
+  if (status === 408 || status === 425 || status === 429) return true;
+  if (status >= 500 && status < 600) return true;
+  return false;
+};
+
+const backoffDelay = (attempt, base = 1000, max = 30000) => {
+  const expo = Math.min(max, base * Math.pow(2, attempt));
+  return Math.floor(Math.random() * expo);
+};
+
+// Retry-After is either delay-seconds or an HTTP date; returns ms, or null when absent or unparseable
+export const getRetryAfterMs = (error, now = Date.now()) => {
+  const value = error?.response?.headers?.['retry-after'];
+  if (value == null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// onRetry({ attempt, delay, nextRetryAt, error }) fires before each backoff sleep
+export const withRetry = async (
+  fn,
+  { retries = 5, base = 1000, max = 30000, maxRetryAfter = 300000, signal, onRetry } = {}
+) => {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    throwIfAborted(signal);
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      // The server knows when it can take the request again; jitter would only guess
+      const retryAfter = getRetryAfterMs(error);
+      const delay = retryAfter != null
+        ? Math.min(retryAfter, maxRetryAfter)
+        : backoffDelay(attempt, base, max);
+      onRetry?.({ attempt: attempt + 1, delay, nextRetryAt: Date.now() + delay, error });
+      await abortableSleep(delay, signal);
+    }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,113 @@
+import { getRetryAfterMs, isRetryableError, withRetry } from './apiClient';
+
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status ${status}`), { response: { status, headers } });
+
+// Fails with each error in turn, then succeeds
+const failing = (...errors) => jest.fn(async () => {
+  if (errors.length) throw errors.shift();
+  return 'ok';
+});
+
+describe('getRetryAfterMs', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+
+  test('reads delay-seconds', () => {
+    expect(getRetryAfterMs(httpError(429, { 'retry-after': '120' }), now)).toBe(120000);
+  });
+
+  test('reads an HTTP date', () => {
+    const error = httpError(503, { 'retry-after': 'Thu, 01 Jan 2026 00:00:30 GMT' });
+    expect(getRetryAfterMs(error, now)).toBe(30000);
+  });
+
+  test('treats a date in the past as no wait', () => {
+    const error = httpError(503, { 'retry-after': 'Wed, 31 Dec 2025 23:59:00 GMT' });
+    expect(getRetryAfterMs(error, now)).toBe(0);
+  });
+
+  test('returns null when the header is missing or unparseable', () => {
+    expect(getRetryAfterMs(httpError(503), now)).toBeNull();
+    expect(getRetryAfterMs(httpError(503, { 'retry-after': 'soon' }), now)).toBeNull();
+    expect(getRetryAfterMs(new Error('Network Error'), now)).toBeNull();
+  });
+});
+
+describe('isRetryableError', () => {
+  test('retries network errors, timeouts, throttling and server errors', () => {
+    expect(isRetryableError(new Error('Network Error'))).toBe(true);
+    [408, 425, 429, 500, 503].forEach(status => expect(isRetryableError(httpError(status))).toBe(true));
+  });
+
+  test('gives up on client errors, auth failures and aborts', () => {
+    [400, 401, 404, 409].forEach(status => expect(isRetryableError(httpError(status))).toBe(false));
+    expect(isRetryableError(Object.assign(new Error('canceled'), { name: 'CanceledError' }))).toBe(false);
+  });
+});
+
+describe('withRetry', () => {
+  test('waits as long as Retry-After asks instead of backing off', async () => {
+    const fn = failing(httpError(429, { 'retry-after': '0' }), httpError(503, { 'retry-after': '0' }));
+    const onRetry = jest.fn();
+
+    await expect(withRetry(fn, { base: 60000, onRetry })).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(([{ attempt, delay }]) => ({ attempt, delay })))
+      .toEqual([{ attempt: 1, delay: 0 }, { attempt: 2, delay: 0 }]);
+  });
+
+  test('caps Retry-After at maxRetryAfter', async () => {
+    const onRetry = jest.fn();
+    const fn = failing(httpError(503, { 'retry-after': '3600' }));
+
+    await withRetry(fn, { maxRetryAfter: 5, onRetry });
+    expect(onRetry.mock.calls[0][0].delay).toBe(5);
+  });
+
+  test('caps an HTTP-date Retry-After too', async () => {
+    const onRetry = jest.fn();
+    const later = new Date(Date.now() + 3600000).toUTCString();
+    const fn = failing(httpError(503, { 'retry-after': later }));
+
+    await withRetry(fn, { maxRetryAfter: 5, onRetry });
+    expect(onRetry.mock.calls[0][0].delay).toBe(5);
+  });
+
+  test('falls back to jittered backoff without Retry-After', async () => {
+    const onRetry = jest.fn();
+    const fn = failing(httpError(500), httpError(500));
+
+    await withRetry(fn, { base: 2, max: 3, onRetry });
+    const delays = onRetry.mock.calls.map(([{ delay }]) => delay);
+    expect(delays).toHaveLength(2);
+    expect(delays[0]).toBeLessThan(2);
+    expect(delays[1]).toBeLessThan(3);
+  });
+
+  test('stops after the configured number of retries', async () => {
+    const error = httpError(503, { 'retry-after': '0' });
+    const fn = failing(error, error, error);
+
+    await expect(withRetry(fn, { retries: 2 })).rejects.toBe(error);
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry an error the server will repeat', async () => {
+    const error = httpError(400);
+    const fn = failing(error);
+    const onRetry = jest.fn();
+
+    await expect(withRetry(fn, { onRetry })).rejects.toBe(error);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(onRetry).not.toHaveBeenCalled();
+  });
+
+  test('an abort during the wait ends it at once', async () => {
+    const controller = new AbortController();
+    const fn = failing(httpError(503, { 'retry-after': '3600' }));
+    const retrying = withRetry(fn, { signal: controller.signal, onRetry: () => controller.abort() });
+
+    await expect(retrying).rejects.toMatchObject({ name: 'AbortError' });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,63 @@
+// How the host app hands us credentials. Any of these may be async:
+//   getToken()        current access token, or null for anonymous requests
+//   refreshToken()    called after a 401; resolves the new token (or makes getToken return it)
+//   onAuthFailure(e)  refresh failed or the retried request was still rejected
+const envProvider = {
+  getToken: () => process.env.REACT_APP_API_TOKEN || null
+};
+
+class AuthProvider {
+  constructor() {
+    this.provider = envProvider;
+    this.token = null;
+    // Every request that hit a 401 during the same expiry waits on one refresh
+    this.refreshing = null;
+  }
+
+  configure(provider) {
+    this.provider = provider || envProvider;
+    this.token = null;
+    this.refreshing = null;
+  }
+
+  setToken(token) {
+    this.token = token || null;
+  }
+
+  async getToken() {
+    if (!this.token && this.provider.getToken) {
+      this.token = (await this.provider.getToken()) || null;
+    }
+    return this.token;
+  }
+
+  canRefresh() {
+    return typeof this.provider.refreshToken === 'function';
+  }
+
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = (async () => {
+        try {
+          const refreshed = await this.provider.refreshToken();
+          this.token = refreshed || null;
+          return this.getToken();
+        } finally {
+          this.refreshing = null;
+        }
+      })();
+    }
+    return this.refreshing;
+  }
+
+  notifyFailure(error) {
+    this.token = null;
+    this.provider.onAuthFailure?.(error);
+  }
+}
+
+export const authProvider = new AuthProvider();
+
+export const configureAuth = (provider) => authProvider.configure(provider);
+
+export default authProvider;
\ No newline at end of file
@@ -0,0 +1,88 @@
+import axios from 'axios';
+import { authProvider, configureAuth } from './authProvider';
+import { getApiClient } from './apiClient';
+
+let validToken;
+let requests;
+
+// Accepts only the current token, the way a server does once the old one expires
+axios.defaults.adapter = async (config) => {
+  const authorization = config.headers.Authorization;
+  requests.push(authorization);
+  if (authorization !== `Bearer ${validToken}`) {
+    throw Object.assign(new Error('Request failed with status code 401'), {
+      config,
+      response: { status: 401, data: {}, headers: {} }
+    });
+  }
+  return { data: { ok: true }, status: 200, statusText: 'OK', headers: {}, config };
+};
+
+beforeEach(() => {
+  validToken = 'token-1';
+  requests = [];
+});
+
+afterEach(() => configureAuth(null));
+
+describe('api client auth', () => {
+  test('sends the provider token as a bearer header', async () => {
+    configureAuth({ getToken: () => 'token-1' });
+
+    await getApiClient().get('/u1/status');
+    expect(requests).toEqual(['Bearer token-1']);
+  });
+
+  test('refreshes an expired token once and replays the request', async () => {
+    const refreshToken = jest.fn(async () => 'token-2');
+    configureAuth({ getToken: () => 'token-1', refreshToken });
+    await getApiClient().get('/u1/status');
+    validToken = 'token-2';
+    requests = [];
+
+    await expect(getApiClient().get('/u1/status')).resolves.toMatchObject({ data: { ok: true } });
+    expect(refreshToken).toHaveBeenCalledTimes(1);
+    expect(requests).toEqual(['Bearer token-1', 'Bearer token-2']);
+  });
+
+  test('requests that fail together share one refresh', async () => {
+    const refreshToken = jest.fn(async () => 'token-2');
+    configureAuth({ getToken: () => 'token-1', refreshToken });
+    await getApiClient().get('/u1/status');
+    validToken = 'token-2';
+
+    await Promise.all([getApiClient().get('/u1/status'), getApiClient().get('/u2/status')]);
+    expect(refreshToken).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after one replay and reports the failure', async () => {
+    const onAuthFailure = jest.fn();
+    const refreshToken = jest.fn(async () => 'still-wrong');
+    configureAuth({ getToken: () => 'token-0', refreshToken, onAuthFailure });
+
+    await expect(getApiClient().get('/u1/status')).rejects.toMatchObject({ response: { status: 401 } });
+    expect(refreshToken).toHaveBeenCalledTimes(1);
+    expect(requests).toEqual(['Bearer token-0', 'Bearer still-wrong']);
+    expect(onAuthFailure).toHaveBeenCalledTimes(1);
+    expect(authProvider.token).toBeNull();
+  });
+
+  test('reports a failed refresh without replaying', async () => {
+    const onAuthFailure = jest.fn();
+    const refreshError = new Error('refresh rejected');
+    configureAuth({ getToken: () => 'token-0', refreshToken: async () => { throw refreshError; }, onAuthFailure });
+
+    await expect(getApiClient().get('/u1/status')).rejects.toMatchObject({ response: { status: 401 } });
+    expect(requests).toHaveLength(1);
+    expect(onAuthFailure).toHaveBeenCalledWith(refreshError);
+  });
+
+  test('without a way to refresh, the 401 goes straight back', async () => {
+    const onAuthFailure = jest.fn();
+    configureAuth({ getToken: () => 'token-0', onAuthFailure });
+
+    await expect(getApiClient().get('/u1/status')).rejects.toMatchObject({ response: { status: 401 } });
+    expect(requests).toHaveLength(1);
+    expect(onAuthFailure).toHaveBeenCalledTimes(1);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,92 @@
+import { getRetryPolicy, getUploadConfig } from '../config/uploadConfig';
+import { useUploadStore } from '../stores/uploadStore';
+import { UPLOAD_STATUS } from '../stores/uploadTypes';
+import { API_BASE_URL } from './apiClient';
+import { authProvider } from './authProvider';
+import { rateLimiter } from './rateLimiter';
+import { tabCoordinator } from './tabCoordinator';
+import { getUploadTransport } from './transports';
+
+// Served from public/ so its scope covers the whole app
+const WORKER_URL = `${process.env.PUBLIC_URL || ''}/upload-sw.js`;
+
+const HANDOFF_STATUSES = [UPLOAD_STATUS.UPLOADING, UPLOAD_STATUS.QUEUED];
+
+// The worker only speaks our own REST protocol, and has no access to encryption keys
+const canHandOff = (upload) =>
+  HANDOFF_STATUSES.includes(upload.status) &&
+  !upload.encryption &&
+  getUploadTransport(upload).name === 'rest' &&
+  tabCoordinator.isOwner(upload.uploadId);
+
+// Everything the worker needs to send the rest; the file itself it reads from IndexedDB
+const toJob = (upload) => ({
+  uploadId: upload.uploadId,
+  filesize: upload.filesize,
+  chunkSize: upload.chunkSize,
+  chunkMode: upload.chunkMode,
+  totalChunks: upload.totalChunks,
+  uploadedChunks: upload.uploadedChunks || [],
+  chunkRanges: upload.chunkRanges || {},
+  chunkChecksums: upload.chunkChecksums || {},
+  checksums: getUploadConfig().chunkChecksums,
+  // The worker sends one upload at a time, so the strictest of its own and the global
+  // limit is all it needs. A limit changed later hands the upload back to a tab.
+  rateLimit: rateLimiter.getRate(upload.uploadId),
+  retryPolicies: {
+    status: getRetryPolicy('status'),
+    chunk: getRetryPolicy('chunk'),
+    complete: getRetryPolicy('complete')
+  },
+  apiUrl: API_BASE_URL,
+  // No refresh in the worker: a 401 hands the upload back to the page
+  token: authProvider.token,
+  handedOffAt: new Date().toISOString()
+});
+
+// The worker coordinates with tabs through the same Web Locks and BroadcastChannel
+// as services/tabCoordinator, so it needs both
+export const isBackgroundUploadSupported = () =>
+  typeof navigator !== 'undefined' &&
+  'serviceWorker' in navigator &&
+  !!navigator.locks &&
+  typeof BroadcastChannel !== 'undefined';
+
+// Hands the uploads this tab drives to public/upload-sw.js when the tab closes. While
+// the worker has them, open tabs see its progress through the tab coordinator like any
+// other owner, and take them back when it finishes, fails or is asked to pause.
+class BackgroundUploader {
+  constructor() {
+    this.registration = null;
+    this.started = false;
+  }
+
+  async start() {
+    if (this.started || !getUploadConfig().backgroundUploads || !isBackgroundUploadSupported()) return;
+    this.started = true;
+
+    try {
+      this.registration = await navigator.serviceWorker.register(WORKER_URL);
+    } catch (error) {
+      console.error('Failed to register background upload worker:', error);
+      return;
+    }
+
+    window.addEventListener('pagehide', () => this.handOff());
+  }
+
+  // Runs while the page is going away, so it's one synchronous postMessage and
+  // the worker does the rest
+  handOff() {
+    const worker = navigator.serviceWorker.controller || this.registration?.active;
+    if (!worker) return;
+
+    const jobs = useUploadStore.getState().getUploads().filter(canHandOff).map(toJob);
+    if (jobs.length > 0) {
+      worker.postMessage({ type: 'handoff', jobs });
+    }
+  }
+}
+
+export const backgroundUploader = new BackgroundUploader();
+export default backgroundUploader;
\ No newline at end of file
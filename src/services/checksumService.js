@@ -0,0 +1,51 @@
+export const CHECKSUM_ALGORITHM = 'sha256';
+
+// Whole-file checksum is a SHA-256 over the ordered chunk digests, so the
+// server can verify it from the chunks it received without re-reading the file
+export const FILE_CHECKSUM_TYPE = 'composite';
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+export const readBlob = (blob) => {
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer();
+  }
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+};
+
+export const isChecksumSupported = () =>
+  typeof crypto !== 'undefined' && !!crypto.subtle && typeof crypto.subtle.digest === 'function';
+
+export const sha256Hex = async (data) => {
+  if (!isChecksumSupported()) {
+    throw new Error('Web Crypto is unavailable; checksums require a secure context');
+  }
+
+  const buffer = data instanceof ArrayBuffer || ArrayBuffer.isView(data) ? data : await readBlob(data);
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return toHex(digest);
+};
+
+export const compositeChecksum = (chunkDigests) =>
+  sha256Hex(new TextEncoder().encode(chunkDigests.join('')));
+
+// Server answers { code: 'CHECKSUM_MISMATCH', chunks?: [chunkIndex] } when a digest doesn't match;
+// tus servers use status 460 instead
+export const isChecksumMismatch = (error) =>
+  error?.response?.data?.code === 'CHECKSUM_MISMATCH' || error?.response?.status === 460;
+
+export const getMismatchedChunks = (error) => {
+  if (!isChecksumMismatch(error)) return null;
+  // tus answers 460 without a body
+  const chunks = error.response.data?.chunks;
+  return Array.isArray(chunks) ? chunks.map(Number) : [];
+};
\ No newline at end of file
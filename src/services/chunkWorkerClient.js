@@ -0,0 +1,107 @@
+import { sha256Hex } from './checksumService';
+import { getUploadConfig } from '../config/uploadConfig';
+
+// Served from public/ so it loads as a plain script without bundler support
+const WORKER_URL = `${process.env.PUBLIC_URL || ''}/workers/chunkWorker.js`;
+
+// Main-thread equivalents, used when workers are unavailable (e.g. in Jest) or the worker dies
+const fallbacks = {
+  async prepareChunk({ file, start, end, checksum }) {
+    const chunk = file.slice(start, end);
+    return { chunk, checksum: checksum ? await sha256Hex(chunk) : undefined };
+  },
+
+  async hashBlob({ blob }) {
+    return { checksum: await sha256Hex(blob) };
+  }
+};
+
+class ChunkWorkerClient {
+  constructor() {
+    this.worker = null;
+    this.failed = false;
+    this.nextRequestId = 0;
+    this.pending = new Map();
+  }
+
+  isSupported() {
+    return typeof Worker !== 'undefined' && !this.failed && getUploadConfig().useWorkers;
+  }
+
+  getWorker() {
+    if (this.worker) {
+      return this.worker;
+    }
+
+    this.worker = new Worker(WORKER_URL);
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => this.handleFailure(event);
+    return this.worker;
+  }
+
+  handleMessage({ id, result, error }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    this.pending.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(request.transform ? request.transform(result) : result);
+    }
+  }
+
+  // Script failed to load or crashed: finish what was in flight on the main thread
+  handleFailure(event) {
+    console.error('Chunk worker failed, falling back to main thread:', event?.message || event);
+    this.failed = true;
+    this.terminate();
+
+    const inFlight = [...this.pending.values()];
+    this.pending.clear();
+    inFlight.forEach(({ type, payload, resolve, reject }) => {
+      fallbacks[type](payload).then(resolve, reject);
+    });
+  }
+
+  // transform turns a worker response into the shape the matching fallback returns
+  request(type, payload, transform) {
+    if (!this.isSupported()) {
+      return fallbacks[type](payload);
+    }
+
+    const id = ++this.nextRequestId;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { type, payload, transform, resolve, reject });
+      try {
+        this.getWorker().postMessage({ id, type, payload });
+      } catch (error) {
+        this.pending.delete(id);
+        this.failed = true;
+        fallbacks[type](payload).then(resolve, reject);
+      }
+    });
+  }
+
+  prepareChunk(file, start, end, { checksum = false } = {}) {
+    return this.request('prepareChunk', { file, start, end, checksum }, ({ buffer, checksum: digest }) => ({
+      chunk: new Blob([buffer], { type: file.type }),
+      checksum: digest
+    }));
+  }
+
+  async hashBlob(blob) {
+    const { checksum } = await this.request('hashBlob', { blob });
+    return checksum;
+  }
+
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
+
+export const chunkWorkerClient = new ChunkWorkerClient();
+export default chunkWorkerClient;
\ No newline at end of file
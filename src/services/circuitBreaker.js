@@ -0,0 +1,113 @@
+import { getUploadConfig } from '../config/uploadConfig';
+
+export const CIRCUIT_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open'
+};
+
+export const CIRCUIT_OPEN_CODE = 'CIRCUIT_OPEN';
+
+export const createCircuitOpenError = () => {
+  const error = new Error('Upload server unavailable');
+  error.code = CIRCUIT_OPEN_CODE;
+  return error;
+};
+
+export const isCircuitOpenError = (error) => error?.code === CIRCUIT_OPEN_CODE;
+
+// Shared by every request to the upload API. Consecutive server failures open
+// it; while open, requests fail fast and a probe checks the server on an interval
+// until it answers, which closes it again.
+class CircuitBreaker {
+  constructor() {
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probe = null;
+    this.probeTimer = null;
+    this.listeners = new Set();
+  }
+
+  isOpen() {
+    return this.state === CIRCUIT_STATE.OPEN;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  // probe() resolves true once the server is reachable again
+  setProbe(probe) {
+    this.probe = probe;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.state);
+      } catch (error) {
+        console.error('Circuit breaker listener failed:', error);
+      }
+    });
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+  }
+
+  recordFailure() {
+    if (this.isOpen()) return;
+    this.failures += 1;
+    if (this.failures >= getUploadConfig().circuitBreaker.failureThreshold) {
+      this.open();
+    }
+  }
+
+  open() {
+    if (this.isOpen()) return;
+    this.state = CIRCUIT_STATE.OPEN;
+    this.openedAt = Date.now();
+    this.scheduleProbe();
+    this.notify();
+  }
+
+  close() {
+    clearTimeout(this.probeTimer);
+    this.probeTimer = null;
+    this.failures = 0;
+    this.openedAt = null;
+    if (!this.isOpen()) return;
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.notify();
+  }
+
+  scheduleProbe() {
+    clearTimeout(this.probeTimer);
+    this.probeTimer = setTimeout(() => this.runProbe(), getUploadConfig().circuitBreaker.probeIntervalMs);
+  }
+
+  async runProbe() {
+    if (!this.isOpen()) return;
+
+    let healthy = false;
+    try {
+      healthy = this.probe ? await this.probe() : true;
+    } catch (error) {
+      healthy = false;
+    }
+
+    if (healthy) {
+      this.close();
+    } else if (this.isOpen()) {
+      this.scheduleProbe();
+    }
+  }
+}
+
+export const circuitBreaker = new CircuitBreaker();
+export default circuitBreaker;
\ No newline at end of file
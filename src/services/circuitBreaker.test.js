@@ -0,0 +1,124 @@
+import axios from 'axios';
+import { circuitBreaker, CIRCUIT_STATE, isCircuitOpenError } from './circuitBreaker';
+import { getApiClient, probeApiHealth } from './apiClient';
+import { configureUploads, resetUploadConfig } from '../config/uploadConfig';
+
+let respond;
+let requests;
+
+axios.defaults.adapter = async (config) => {
+  requests.push(config);
+  const status = respond(config);
+  if (status >= 400) {
+    throw Object.assign(new Error(`Request failed with status ${status}`), {
+      config,
+      response: { status, data: {}, headers: {} }
+    });
+  }
+  return { data: {}, status, statusText: 'OK', headers: {}, config };
+};
+
+const flush = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  configureUploads({ circuitBreaker: { failureThreshold: 3, probeIntervalMs: 1000 } });
+  circuitBreaker.close();
+  circuitBreaker.setProbe(null);
+  respond = () => 200;
+  requests = [];
+});
+
+afterEach(() => {
+  circuitBreaker.close();
+  jest.useRealTimers();
+  resetUploadConfig();
+});
+
+describe('circuitBreaker', () => {
+  test('opens after the configured number of consecutive failures', () => {
+    const listener = jest.fn();
+    const unsubscribe = circuitBreaker.subscribe(listener);
+
+    circuitBreaker.recordFailure();
+    circuitBreaker.recordFailure();
+    expect(circuitBreaker.isOpen()).toBe(false);
+    circuitBreaker.recordFailure();
+
+    expect(circuitBreaker.isOpen()).toBe(true);
+    expect(listener).toHaveBeenCalledWith(CIRCUIT_STATE.OPEN);
+    unsubscribe();
+  });
+
+  test('a success in between starts the count over', () => {
+    circuitBreaker.recordFailure();
+    circuitBreaker.recordFailure();
+    circuitBreaker.recordSuccess();
+    circuitBreaker.recordFailure();
+    circuitBreaker.recordFailure();
+
+    expect(circuitBreaker.isOpen()).toBe(false);
+  });
+
+  test('probes on an interval until the server answers, then closes', async () => {
+    const probe = jest.fn().mockResolvedValueOnce(false).mockRejectedValueOnce(new Error('down')).mockResolvedValue(true);
+    const listener = jest.fn();
+    circuitBreaker.setProbe(probe);
+    circuitBreaker.open();
+    const unsubscribe = circuitBreaker.subscribe(listener);
+
+    jest.advanceTimersByTime(1000);
+    await flush();
+    expect(circuitBreaker.isOpen()).toBe(true);
+    jest.advanceTimersByTime(1000);
+    await flush();
+    expect(circuitBreaker.isOpen()).toBe(true);
+    jest.advanceTimersByTime(1000);
+    await flush();
+
+    expect(probe).toHaveBeenCalledTimes(3);
+    expect(circuitBreaker.isOpen()).toBe(false);
+    expect(listener).toHaveBeenCalledWith(CIRCUIT_STATE.CLOSED);
+    unsubscribe();
+  });
+});
+
+describe('circuit breaker on the api client', () => {
+  test('server errors open it, then requests fail without being sent', async () => {
+    respond = () => 503;
+    const client = getApiClient();
+    for (let i = 0; i < 3; i++) {
+      await expect(client.get('/u1/status')).rejects.toMatchObject({ response: { status: 503 } });
+    }
+    expect(circuitBreaker.isOpen()).toBe(true);
+
+    requests = [];
+    const error = await client.get('/u1/status').catch(e => e);
+    expect(isCircuitOpenError(error)).toBe(true);
+    expect(requests).toHaveLength(0);
+  });
+
+  test('client errors show the server is up and reset the count', async () => {
+    const client = getApiClient();
+    respond = () => 500;
+    await client.get('/u1/status').catch(() => {});
+    await client.get('/u1/status').catch(() => {});
+    respond = () => 404;
+    await client.get('/u1/status').catch(() => {});
+    respond = () => 500;
+    await client.get('/u1/status').catch(() => {});
+    await client.get('/u1/status').catch(() => {});
+
+    expect(circuitBreaker.isOpen()).toBe(false);
+  });
+
+  test('the health probe still goes through while open', async () => {
+    circuitBreaker.open();
+    respond = () => 404;
+
+    await expect(probeApiHealth()).resolves.toBe(true);
+    expect(requests).toHaveLength(1);
+    respond = () => 502;
+    await expect(probeApiHealth()).resolves.toBe(false);
+  });
+});
\ No newline at end of file
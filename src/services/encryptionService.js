@@ -0,0 +1,219 @@
+import { readBlob } from './checksumService';
+import { indexedDBService } from './indexedDBService';
+
+export const ENCRYPTION_ALGORITHM = 'AES-GCM';
+const KEY_LENGTH = 256;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 128;
+const SALT_LENGTH = 16;
+const KDF_NAME = 'PBKDF2';
+const KDF_HASH = 'SHA-256';
+
+export const PASSPHRASE_REQUIRED_CODE = 'PASSPHRASE_REQUIRED';
+export const WRONG_PASSPHRASE_CODE = 'WRONG_PASSPHRASE';
+
+const createEncryptionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+export const isPassphraseError = (error) =>
+  error?.code === PASSPHRASE_REQUIRED_CODE || error?.code === WRONG_PASSPHRASE_CODE;
+
+export const isEncryptionSupported = () =>
+  typeof crypto !== 'undefined' && !!crypto.subtle && typeof crypto.getRandomValues === 'function';
+
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+// Only used for salts, IVs and wrapped keys, which are a few dozen bytes
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const ADDITIONAL_DATA = 'chunk-index-uint32be+final-flag-uint8';
+// Uploads started before the final flag was added keep encrypting their remaining chunks the old way
+const LEGACY_ADDITIONAL_DATA = 'chunk-index-uint32be';
+
+// Binds each chunk to its index, so the server can't reorder or swap chunks undetected,
+// and marks the last one, so it can't drop trailing chunks and pass the rest off as the file
+const chunkAdditionalData = (chunkIndex, final, layout) => {
+  const data = new Uint8Array(layout === LEGACY_ADDITIONAL_DATA ? 4 : 5);
+  new DataView(data.buffer).setUint32(0, chunkIndex);
+  if (data.length > 4) data[4] = final ? 1 : 0;
+  return data;
+};
+
+const deriveWrappingKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    KDF_NAME,
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: KDF_NAME, hash: KDF_HASH, salt, iterations },
+    material,
+    { name: ENCRYPTION_ALGORITHM, length: KEY_LENGTH },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+};
+
+// The unwrapped data key can encrypt chunks but can never be read back out, not even
+// from IndexedDB
+const unwrapDataKey = async (wrappedKey, wrapIv, wrappingKey) => {
+  try {
+    return await crypto.subtle.unwrapKey(
+      'raw',
+      wrappedKey,
+      wrappingKey,
+      { name: ENCRYPTION_ALGORITHM, iv: wrapIv, tagLength: TAG_LENGTH },
+      { name: ENCRYPTION_ALGORITHM, length: KEY_LENGTH },
+      false,
+      ['encrypt']
+    );
+  } catch (error) {
+    // GCM can't tell a wrong passphrase from a damaged key; the passphrase is far likelier
+    throw createEncryptionError('Wrong encryption passphrase', WRONG_PASSPHRASE_CODE);
+  }
+};
+
+// Each upload gets its own random AES-GCM key, wrapped with a key derived from the
+// user's passphrase. The wrapped key and everything needed to unwrap it travel with
+// the upload as its encryption parameters, so the server stores them without ever
+// being able to read the chunks. Each chunk is sent as IV || ciphertext || tag.
+//
+// The passphrase itself is only held in memory. The unwrapped key is kept in
+// IndexedDB as a non-extractable CryptoKey so uploads resume after a reload; if it
+// is gone, the passphrase has to be entered again.
+class EncryptionService {
+  constructor() {
+    this.passphrase = null;
+    this.keys = new Map();
+    // One salt and derived key per passphrase, so a large batch runs PBKDF2 once;
+    // every upload still gets its own data key and wrapping IV
+    this.wrapping = null;
+  }
+
+  setPassphrase(passphrase) {
+    this.passphrase = passphrase || null;
+    this.wrapping = null;
+  }
+
+  getWrappingKey(iterations) {
+    if (!this.wrapping || this.wrapping.iterations !== iterations) {
+      const salt = randomBytes(SALT_LENGTH);
+      const wrapping = { salt, iterations, key: deriveWrappingKey(this.passphrase, salt, iterations) };
+      // A failed derivation isn't kept, so the next upload tries again
+      wrapping.key.catch(() => {
+        if (this.wrapping === wrapping) this.wrapping = null;
+      });
+      this.wrapping = wrapping;
+    }
+    return this.wrapping;
+  }
+
+  hasPassphrase() {
+    return !!this.passphrase;
+  }
+
+  async createUploadKey({ iterations }) {
+    if (!isEncryptionSupported()) {
+      throw new Error('Encryption is not supported in this browser');
+    }
+    if (!this.passphrase) {
+      throw createEncryptionError('Enter an encryption passphrase before adding files', PASSPHRASE_REQUIRED_CODE);
+    }
+
+    const wrapping = this.getWrappingKey(iterations);
+    const { salt } = wrapping;
+    const wrappingKey = await wrapping.key;
+    const wrapIv = randomBytes(IV_LENGTH);
+    // Extractable only long enough to be wrapped
+    const dataKey = await crypto.subtle.generateKey({ name: ENCRYPTION_ALGORITHM, length: KEY_LENGTH }, true, ['encrypt']);
+    const wrappedKey = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, {
+      name: ENCRYPTION_ALGORITHM,
+      iv: wrapIv,
+      tagLength: TAG_LENGTH
+    });
+
+    return {
+      key: await unwrapDataKey(wrappedKey, wrapIv, wrappingKey),
+      params: {
+        algorithm: ENCRYPTION_ALGORITHM,
+        keyLength: KEY_LENGTH,
+        ivLength: IV_LENGTH,
+        tagLength: TAG_LENGTH,
+        chunkLayout: 'iv+ciphertext+tag',
+        additionalData: ADDITIONAL_DATA,
+        kdf: { name: KDF_NAME, hash: KDF_HASH, iterations, salt: toBase64(salt) },
+        wrappedKey: toBase64(wrappedKey),
+        wrapIv: toBase64(wrapIv)
+      }
+    };
+  }
+
+  async saveKey(uploadId, key) {
+    this.keys.set(uploadId, key);
+    try {
+      await indexedDBService.storeKey(uploadId, key);
+    } catch (error) {
+      // Still usable until the page reloads; after that the passphrase unlocks it
+      console.error('Failed to store encryption key in IndexedDB:', error);
+    }
+  }
+
+  // Memory, then IndexedDB, then the session passphrase if it is the one the key was
+  // wrapped with. Null means the user has to unlock the upload.
+  async getKey(upload) {
+    const { uploadId, encryption } = upload;
+    if (this.keys.has(uploadId)) return this.keys.get(uploadId);
+
+    const stored = await indexedDBService.getKey(uploadId).catch(() => null);
+    if (stored) {
+      this.keys.set(uploadId, stored);
+      return stored;
+    }
+
+    if (this.passphrase && encryption) {
+      try {
+        return await this.unlock(upload, this.passphrase);
+      } catch (error) {
+        if (!isPassphraseError(error)) throw error;
+      }
+    }
+    return null;
+  }
+
+  async unlock({ uploadId, encryption }, passphrase) {
+    const wrappingKey = await deriveWrappingKey(passphrase, fromBase64(encryption.kdf.salt), encryption.kdf.iterations);
+    const key = await unwrapDataKey(fromBase64(encryption.wrappedKey), fromBase64(encryption.wrapIv), wrappingKey);
+    await this.saveKey(uploadId, key);
+    return key;
+  }
+
+  // A fresh IV every call, so a resent chunk never reuses one with different bytes
+  async encryptChunk(upload, chunk, chunkIndex, { final = false } = {}) {
+    const key = await this.getKey(upload);
+    if (!key) {
+      throw createEncryptionError('Encryption key unavailable', PASSPHRASE_REQUIRED_CODE);
+    }
+
+    const iv = randomBytes(IV_LENGTH);
+    const ciphertext = await crypto.subtle.encrypt(
+      {
+        name: ENCRYPTION_ALGORITHM,
+        iv,
+        additionalData: chunkAdditionalData(chunkIndex, final, upload.encryption?.additionalData),
+        tagLength: TAG_LENGTH
+      },
+      key,
+      await readBlob(chunk)
+    );
+    return new Blob([iv, ciphertext], { type: 'application/octet-stream' });
+  }
+}
+
+export const encryptionService = new EncryptionService();
+export default encryptionService;
\ No newline at end of file
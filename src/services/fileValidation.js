@@ -0,0 +1,195 @@
+import { getUploadConfig } from '../config/uploadConfig';
+import { readBlob } from './checksumService';
+
+// Leading bytes of the formats we can recognize: per type, alternative signatures made of
+// byte runs that must all match. A file claiming one of these types must have one of them.
+const SIGNATURES = {
+  'image/png': [[{ bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }]],
+  'image/jpeg': [[{ bytes: [0xff, 0xd8, 0xff] }]],
+  'image/gif': [[{ bytes: [0x47, 0x49, 0x46, 0x38] }]],
+  'image/webp': [[{ bytes: [0x52, 0x49, 0x46, 0x46] }, { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] }]],
+  'image/bmp': [[{ bytes: [0x42, 0x4d] }]],
+  'application/pdf': [[{ bytes: [0x25, 0x50, 0x44, 0x46] }]],
+  // Empty and spanned archives start differently
+  'application/zip': [[{ bytes: [0x50, 0x4b, 0x03, 0x04] }], [{ bytes: [0x50, 0x4b, 0x05, 0x06] }], [{ bytes: [0x50, 0x4b, 0x07, 0x08] }]],
+  'application/gzip': [[{ bytes: [0x1f, 0x8b] }]],
+  'video/mp4': [[{ offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] }]]
+};
+
+const EXTENSION_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+  gz: 'application/gzip',
+  mp4: 'video/mp4'
+};
+
+// Browsers report a few of these under other names
+const TYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'application/x-zip-compressed': 'application/zip',
+  'application/x-gzip': 'application/gzip'
+};
+
+const HEADER_BYTES = 16;
+const MAX_FILENAME_LENGTH = 255;
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${+(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  if (bytes >= 1024 * 1024) return `${+(bytes / (1024 * 1024)).toFixed(2)} MB`;
+  if (bytes >= 1024) return `${+(bytes / 1024).toFixed(2)} KB`;
+  return `${bytes} ${bytes === 1 ? 'byte' : 'bytes'}`;
+};
+
+export const getExtension = (filename) => {
+  const match = /\.([^./\\]+)$/.exec(filename || '');
+  return match ? match[1].toLowerCase() : '';
+};
+
+const normalizeType = (mimeType) => {
+  const type = (mimeType || '').toLowerCase();
+  return TYPE_ALIASES[type] || type;
+};
+
+// What the file says it is: its MIME type, or failing that its extension
+const getClaimedType = (file) => normalizeType(file.type) || EXTENSION_TYPES[getExtension(file.name)] || '';
+
+const matchesMimeType = (mimeType, allowed) =>
+  allowed.some(pattern => (pattern.endsWith('/*') ? mimeType.startsWith(pattern.slice(0, -1)) : mimeType === pattern));
+
+const matchesRun = (header, { offset = 0, bytes }) =>
+  bytes.every((byte, index) => header[offset + index] === byte);
+
+const sniffType = (header) =>
+  Object.keys(SIGNATURES).find(mimeType =>
+    SIGNATURES[mimeType].some(runs => runs.every(run => matchesRun(header, run)))
+  ) || null;
+
+const readHeader = async (file) => new Uint8Array(await readBlob(file.slice(0, HEADER_BYTES)));
+
+// Control characters, path separators and characters Windows can't store become '_',
+// and reserved device names get a prefix so the file can be written anywhere
+export const sanitizeFilename = (name) => {
+  let sanitized = (name || '')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u001f\u007f<>:"/\\|?*]/g, '_')
+    .replace(/[. ]+$/, '')
+    .trim();
+
+  if (!sanitized || /^\.+$/.test(sanitized)) sanitized = 'file';
+  if (RESERVED_NAMES.test(sanitized)) sanitized = `_${sanitized}`;
+
+  if (sanitized.length > MAX_FILENAME_LENGTH) {
+    const extension = getExtension(sanitized);
+    const keep = MAX_FILENAME_LENGTH - (extension ? extension.length + 1 : 0);
+    sanitized = extension ? `${sanitized.slice(0, keep)}.${extension}` : sanitized.slice(0, keep);
+  }
+  return sanitized;
+};
+
+// Folder paths keep their structure, minus empty and '.'/'..' segments
+export const sanitizeRelativePath = (path) =>
+  (path || '')
+    .split(/[/\\]+/)
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .map(sanitizeFilename)
+    .join('/');
+
+const withName = (file, name) =>
+  name === file.name ? file : new File([file], name, { type: file.type, lastModified: file.lastModified });
+
+// The file as validateFiles would have accepted it, so a reselected original matches
+export const withSanitizedName = (file) => withName(file, sanitizeFilename(file.name));
+
+// Reasons a single file breaks the policy; empty when it passes
+export const validateFile = async (file, policy = getUploadConfig().validation) => {
+  const reasons = [];
+  const { minFileSize, maxFileSize, allowedMimeTypes = [], allowedExtensions = [], sniffContent } = policy;
+
+  if (minFileSize && file.size < minFileSize) {
+    reasons.push(file.size === 0 ? 'File is empty' : `Smaller than the minimum of ${formatSize(minFileSize)}`);
+  }
+  if (maxFileSize && file.size > maxFileSize) {
+    reasons.push(`Larger than the maximum of ${formatSize(maxFileSize)}`);
+  }
+
+  const extension = getExtension(file.name);
+  if (allowedExtensions.length > 0 && !allowedExtensions.includes(extension)) {
+    reasons.push(extension ? `.${extension} files are not allowed` : 'Files without an extension are not allowed');
+  }
+
+  const claimedType = getClaimedType(file);
+  let effectiveType = claimedType;
+  if (sniffContent && file.size > 0) {
+    const detectedType = sniffType(await readHeader(file));
+    if (SIGNATURES[claimedType] && detectedType !== claimedType) {
+      reasons.push(`Content does not match its type (${claimedType})`);
+    }
+    // Types we have no signature for are taken at their word
+    effectiveType = claimedType || detectedType || '';
+  }
+
+  if (allowedMimeTypes.length > 0 && !matchesMimeType(effectiveType, allowedMimeTypes)) {
+    reasons.push(effectiveType ? `${effectiveType} files are not allowed` : 'Unknown file type');
+  }
+
+  return reasons;
+};
+
+// Splits picked or dropped { file, relativePath } entries into the ones that may be
+// uploaded (with sanitized names) and the ones that may not, each with its reasons
+export const validateFiles = async (entries, policy = getUploadConfig().validation) => {
+  const accepted = [];
+  const rejected = [];
+  const { maxFilesPerBatch, sanitizeFilenames } = policy;
+
+  for (const [index, entry] of entries.entries()) {
+    const { file, relativePath } = entry;
+    const displayPath = relativePath || file?.name || 'Unnamed file';
+
+    if (!file) {
+      rejected.push({ ...entry, relativePath: displayPath, reasons: ['Could not be read'] });
+      continue;
+    }
+    if (maxFilesPerBatch && index >= maxFilesPerBatch) {
+      rejected.push({ ...entry, relativePath: displayPath, reasons: [`Only ${maxFilesPerBatch} files can be added at once`] });
+      continue;
+    }
+
+    let reasons;
+    try {
+      reasons = await validateFile(file, policy);
+    } catch (error) {
+      reasons = [`Could not be read: ${error?.message || 'unknown error'}`];
+    }
+    if (reasons.length > 0) {
+      rejected.push({ ...entry, relativePath: displayPath, reasons });
+      continue;
+    }
+
+    accepted.push(sanitizeFilenames
+      ? { ...entry, file: withName(file, sanitizeFilename(file.name)), relativePath: sanitizeRelativePath(relativePath || file.name) }
+      : entry);
+  }
+
+  return { accepted, rejected };
+};
+
+// One line for the dropzone, e.g. "Supports files up to 1 GB · .pdf, .png · up to 500 files at once"
+export const describeValidationPolicy = (policy = getUploadConfig().validation) => {
+  const parts = [];
+  if (policy.maxFileSize) parts.push(`Supports files up to ${formatSize(policy.maxFileSize)}`);
+  if (policy.allowedExtensions?.length > 0) {
+    parts.push(policy.allowedExtensions.map(extension => `.${extension}`).join(', '));
+  } else if (policy.allowedMimeTypes?.length > 0) {
+    parts.push(policy.allowedMimeTypes.join(', '));
+  }
+  if (policy.maxFilesPerBatch) parts.push(`up to ${policy.maxFilesPerBatch} files at once`);
+  return parts.join(' · ');
+};
\ No newline at end of file
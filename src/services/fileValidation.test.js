@@ -0,0 +1,172 @@
+import {
+  describeValidationPolicy,
+  getExtension,
+  sanitizeFilename,
+  sanitizeRelativePath,
+  validateFile,
+  validateFiles,
+  withSanitizedName
+} from './fileValidation';
+
+const PNG_BYTES = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0];
+const JPEG_BYTES = [0xff, 0xd8, 0xff, 0xe0, 0, 0, 0, 0];
+
+const makeFile = (name, bytes = [1, 2, 3], type = '') =>
+  new File([new Uint8Array(bytes)], name, { type, lastModified: 1000 });
+
+const policy = (overrides = {}) => ({
+  minFileSize: 1,
+  maxFileSize: 1024,
+  allowedMimeTypes: [],
+  allowedExtensions: [],
+  sniffContent: true,
+  sanitizeFilenames: true,
+  maxFilesPerBatch: 10,
+  ...overrides
+});
+
+describe('sanitizeFilename', () => {
+  test('replaces characters that can\'t be stored', () => {
+    expect(sanitizeFilename('a<b>c:d"e|f?g*h.txt')).toBe('a_b_c_d_e_f_g_h.txt');
+    expect(sanitizeFilename('dir/sub\\name.txt')).toBe('dir_sub_name.txt');
+    expect(sanitizeFilename('tab\there\u0000.txt')).toBe('tab_here_.txt');
+  });
+
+  test('drops trailing dots and spaces', () => {
+    expect(sanitizeFilename('report.pdf. . ')).toBe('report.pdf');
+  });
+
+  test('names empty or dot-only names "file"', () => {
+    expect(sanitizeFilename('')).toBe('file');
+    expect(sanitizeFilename('..')).toBe('file');
+  });
+
+  test('prefixes reserved device names', () => {
+    expect(sanitizeFilename('CON')).toBe('_CON');
+    expect(sanitizeFilename('lpt1.txt')).toBe('_lpt1.txt');
+    expect(sanitizeFilename('console.txt')).toBe('console.txt');
+  });
+
+  test('shortens long names but keeps the extension', () => {
+    const sanitized = sanitizeFilename(`${'a'.repeat(300)}.jpeg`);
+    expect(sanitized).toHaveLength(255);
+    expect(sanitized.endsWith('a.jpeg')).toBe(true);
+  });
+});
+
+describe('sanitizeRelativePath', () => {
+  test('keeps folders but drops empty and dot segments', () => {
+    expect(sanitizeRelativePath('photos//./../2024\\trip/a:b.jpg')).toBe('photos/2024/trip/a_b.jpg');
+  });
+});
+
+describe('withSanitizedName', () => {
+  test('renames the file as validation would have', () => {
+    const file = makeFile('a:b.txt', [1], 'text/plain');
+    const renamed = withSanitizedName(file);
+    expect(renamed.name).toBe('a_b.txt');
+    expect(renamed.type).toBe('text/plain');
+    expect(renamed.lastModified).toBe(1000);
+  });
+
+  test('returns the same file when the name is already clean', () => {
+    const file = makeFile('clean.txt');
+    expect(withSanitizedName(file)).toBe(file);
+  });
+});
+
+describe('getExtension', () => {
+  test('lowercases the last extension', () => {
+    expect(getExtension('archive.TAR.GZ')).toBe('gz');
+    expect(getExtension('noext')).toBe('');
+    expect(getExtension('dir.d/noext')).toBe('');
+  });
+});
+
+describe('validateFile', () => {
+  test('accepts a file within the policy', async () => {
+    expect(await validateFile(makeFile('image.png', PNG_BYTES, 'image/png'), policy())).toEqual([]);
+  });
+
+  test('rejects empty, too small and too large files', async () => {
+    expect(await validateFile(makeFile('empty.txt', []), policy())).toEqual(['File is empty']);
+    expect(await validateFile(makeFile('small.txt', [1, 2]), policy({ minFileSize: 4 })))
+      .toEqual(['Smaller than the minimum of 4 bytes']);
+    expect(await validateFile(makeFile('big.txt', new Array(2048).fill(0)), policy()))
+      .toEqual(['Larger than the maximum of 1 KB']);
+  });
+
+  test('rejects extensions outside the allowed list', async () => {
+    const strict = policy({ allowedExtensions: ['pdf'] });
+    expect(await validateFile(makeFile('notes.txt'), strict)).toEqual(['.txt files are not allowed']);
+    expect(await validateFile(makeFile('notes'), strict)).toEqual(['Files without an extension are not allowed']);
+  });
+
+  test('rejects content that doesn\'t match the claimed type', async () => {
+    expect(await validateFile(makeFile('photo.png', JPEG_BYTES, 'image/png'), policy()))
+      .toEqual(['Content does not match its type (image/png)']);
+  });
+
+  test('falls back to the extension when the type is missing', async () => {
+    expect(await validateFile(makeFile('photo.jpg', PNG_BYTES), policy()))
+      .toEqual(['Content does not match its type (image/jpeg)']);
+  });
+
+  test('doesn\'t sniff when sniffing is off', async () => {
+    expect(await validateFile(makeFile('photo.png', JPEG_BYTES, 'image/png'), policy({ sniffContent: false }))).toEqual([]);
+  });
+
+  test('matches allowed MIME types, including wildcards', async () => {
+    const imagesOnly = policy({ allowedMimeTypes: ['image/*'] });
+    expect(await validateFile(makeFile('a.jpg', JPEG_BYTES, 'image/jpg'), imagesOnly)).toEqual([]);
+    expect(await validateFile(makeFile('a.txt', [1], 'text/plain'), imagesOnly)).toEqual(['text/plain files are not allowed']);
+  });
+
+  test('uses the sniffed type when nothing is claimed', async () => {
+    const imagesOnly = policy({ allowedMimeTypes: ['image/png'] });
+    expect(await validateFile(makeFile('download', PNG_BYTES), imagesOnly)).toEqual([]);
+    expect(await validateFile(makeFile('download', [1, 2, 3]), imagesOnly)).toEqual(['Unknown file type']);
+  });
+});
+
+describe('validateFiles', () => {
+  test('splits entries into accepted and rejected, with sanitized names', async () => {
+    const { accepted, rejected } = await validateFiles([
+      { file: makeFile('a:b.png', PNG_BYTES, 'image/png'), relativePath: 'x/../a:b.png' },
+      { file: makeFile('empty.txt', []), relativePath: 'empty.txt' },
+      { file: null, relativePath: 'gone.txt' }
+    ], policy());
+
+    expect(accepted).toHaveLength(1);
+    expect(accepted[0].file.name).toBe('a_b.png');
+    expect(accepted[0].relativePath).toBe('x/a_b.png');
+    expect(rejected.map(({ relativePath, reasons }) => [relativePath, reasons])).toEqual([
+      ['empty.txt', ['File is empty']],
+      ['gone.txt', ['Could not be read']]
+    ]);
+  });
+
+  test('keeps names as they are when sanitizing is off', async () => {
+    const entry = { file: makeFile('a:b.txt'), relativePath: 'a:b.txt' };
+    const { accepted } = await validateFiles([entry], policy({ sanitizeFilenames: false }));
+    expect(accepted).toEqual([entry]);
+  });
+
+  test('rejects files past the batch limit', async () => {
+    const entries = ['1.txt', '2.txt', '3.txt'].map(name => ({ file: makeFile(name), relativePath: name }));
+    const { accepted, rejected } = await validateFiles(entries, policy({ maxFilesPerBatch: 2 }));
+    expect(accepted.map(({ file }) => file.name)).toEqual(['1.txt', '2.txt']);
+    expect(rejected).toEqual([
+      expect.objectContaining({ relativePath: '3.txt', reasons: ['Only 2 files can be added at once'] })
+    ]);
+  });
+});
+
+describe('describeValidationPolicy', () => {
+  test('summarizes the limits that are set', () => {
+    expect(describeValidationPolicy(policy({ maxFileSize: 1024 * 1024 * 1024, allowedExtensions: ['pdf', 'png'], maxFilesPerBatch: 500 })))
+      .toBe('Supports files up to 1 GB · .pdf, .png · up to 500 files at once');
+    expect(describeValidationPolicy(policy({ maxFileSize: 0, allowedMimeTypes: ['image/*'], maxFilesPerBatch: 0 })))
+      .toBe('image/*');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,41 @@
+import { chunkWorkerClient } from './chunkWorkerClient';
+import { getUploadConfig } from '../config/uploadConfig';
+
+// Bytes read from each end of the file in 'sample' mode
+const SAMPLE_SIZE = 1024 * 1024;
+// Bytes hashed at a time in 'full' mode, so memory use doesn't grow with the file
+const FULL_SLICE_SIZE = 8 * 1024 * 1024;
+
+export const FINGERPRINT_MODES = {
+  // Head + tail + size: cheap enough for multi-GB files, catches almost every real-world difference
+  SAMPLE: 'sample',
+  // Hash of every byte: exact, but reads the whole file, a slice at a time
+  FULL: 'full'
+};
+
+const buildSample = (file) => {
+  const head = file.slice(0, SAMPLE_SIZE);
+  const tail = file.size > SAMPLE_SIZE
+    ? file.slice(Math.max(SAMPLE_SIZE, file.size - SAMPLE_SIZE), file.size)
+    : new Blob([]);
+  return new Blob([head, tail, String(file.size)]);
+};
+
+// Web Crypto can't hash a stream, so each slice is hashed on its own and the list of
+// slice digests is hashed last. That isn't the file's plain SHA-256, hence the prefix.
+const hashSlices = async (file) => {
+  const digests = [];
+  for (let start = 0; start < file.size; start += FULL_SLICE_SIZE) {
+    digests.push(await chunkWorkerClient.hashBlob(file.slice(start, start + FULL_SLICE_SIZE)));
+  }
+  return chunkWorkerClient.hashBlob(new Blob([digests.join('\n'), '\n', String(file.size)]));
+};
+
+export const isSampleFingerprint = (fingerprint) => !!fingerprint?.startsWith('sha256-sample:');
+
+export const computeFingerprint = async (file, { mode = getUploadConfig().fingerprintMode } = {}) => {
+  if (mode === FINGERPRINT_MODES.FULL) {
+    return `sha256-slices:${await hashSlices(file)}`;
+  }
+  return `sha256-sample:${await chunkWorkerClient.hashBlob(buildSample(file))}`;
+};
\ No newline at end of file
@@ -0,0 +1,323 @@
+import { getUploadConfig } from '../config/uploadConfig';
+import { readBlob } from './checksumService';
+import { getExtension } from './fileValidation';
+
+const JPEG = 'image/jpeg';
+const PNG = 'image/png';
+const WEBP = 'image/webp';
+
+const OUTPUT_EXTENSIONS = {
+  [JPEG]: 'jpg',
+  [PNG]: 'png',
+  [WEBP]: 'webp'
+};
+
+const normalizeType = (mimeType) => {
+  const type = (mimeType || '').toLowerCase();
+  return type === 'image/jpg' ? JPEG : type;
+};
+
+const concatBytes = (parts) => {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+};
+
+const readAscii = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+// --- JPEG: APP1 holds EXIF (including GPS) and XMP, APP13 holds IPTC ---
+
+const JPEG_METADATA_MARKERS = [0xe1, 0xed];
+const JPEG_START_OF_SCAN = 0xda;
+const EXIF_ORIENTATION_TAG = 0x0112;
+
+const readJpegOrientation = (bytes, start, end) => {
+  const exif = start + 4;
+  if (end - exif < 14 || readAscii(bytes, exif, 6) !== 'Exif\0\0') return 1;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const tiff = exif + 6;
+  const littleEndian = view.getUint16(tiff) === 0x4949;
+  const ifd = tiff + view.getUint32(tiff + 4, littleEndian);
+  if (ifd + 2 > end) return 1;
+
+  const count = view.getUint16(ifd, littleEndian);
+  for (let index = 0; index < count; index++) {
+    const entry = ifd + 2 + index * 12;
+    if (entry + 12 > end) break;
+    if (view.getUint16(entry, littleEndian) === EXIF_ORIENTATION_TAG) {
+      return view.getUint16(entry + 8, littleEndian);
+    }
+  }
+  return 1;
+};
+
+// Drops the metadata segments ahead of the image data; the data itself is copied as is
+const stripJpegMetadata = (bytes) => {
+  const kept = [bytes.subarray(0, 2)];
+  let orientation = 1;
+  let removed = false;
+  let offset = 2;
+
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) return null;
+    // Markers may be padded with extra 0xff bytes
+    if (bytes[offset + 1] === 0xff) {
+      offset++;
+      continue;
+    }
+
+    const marker = bytes[offset + 1];
+    if (marker === JPEG_START_OF_SCAN) break;
+
+    const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+    if (end > bytes.length) return null;
+
+    if (JPEG_METADATA_MARKERS.includes(marker)) {
+      if (marker === 0xe1) orientation = Math.max(orientation, readJpegOrientation(bytes, offset, end));
+      removed = true;
+    } else {
+      kept.push(bytes.subarray(offset, end));
+    }
+    offset = end;
+  }
+
+  kept.push(bytes.subarray(offset));
+  return { bytes: removed ? concatBytes(kept) : bytes, removed, orientation };
+};
+
+// --- PNG: text, time and EXIF chunks ---
+
+const PNG_SIGNATURE_LENGTH = 8;
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+
+const stripPngMetadata = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const kept = [bytes.subarray(0, PNG_SIGNATURE_LENGTH)];
+  let removed = false;
+  let offset = PNG_SIGNATURE_LENGTH;
+
+  while (offset + 12 <= bytes.length) {
+    // length, type, data, CRC
+    const end = offset + 12 + view.getUint32(offset);
+    if (end > bytes.length) return null;
+
+    if (PNG_METADATA_CHUNKS.includes(readAscii(bytes, offset + 4, 4))) {
+      removed = true;
+    } else {
+      kept.push(bytes.subarray(offset, end));
+    }
+    offset = end;
+  }
+
+  kept.push(bytes.subarray(offset));
+  return { bytes: removed ? concatBytes(kept) : bytes, removed, orientation: 1 };
+};
+
+// --- WebP: EXIF and XMP chunks, flagged in the VP8X header ---
+
+const WEBP_HEADER_LENGTH = 12;
+const WEBP_METADATA_CHUNKS = { 'EXIF': 0x08, 'XMP ': 0x04 };
+
+const stripWebpMetadata = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const kept = [];
+  let flagsToClear = 0;
+  let offset = WEBP_HEADER_LENGTH;
+
+  while (offset + 8 <= bytes.length) {
+    const size = view.getUint32(offset + 4, true);
+    // Chunks are padded to an even length
+    const end = offset + 8 + size + (size % 2);
+    if (end > bytes.length) return null;
+
+    const fourCC = readAscii(bytes, offset, 4);
+    if (fourCC in WEBP_METADATA_CHUNKS) {
+      flagsToClear |= WEBP_METADATA_CHUNKS[fourCC];
+    } else {
+      kept.push(bytes.slice(offset, end));
+    }
+    offset = end;
+  }
+
+  if (!flagsToClear) return { bytes, removed: false, orientation: 1 };
+
+  const vp8x = kept.find(chunk => readAscii(chunk, 0, 4) === 'VP8X');
+  if (vp8x) vp8x[8] &= ~flagsToClear;
+
+  const result = concatBytes([bytes.subarray(0, WEBP_HEADER_LENGTH), ...kept]);
+  new DataView(result.buffer).setUint32(4, result.length - 8, true);
+  return { bytes: result, removed: true, orientation: 1 };
+};
+
+const METADATA_STRIPPERS = {
+  [JPEG]: stripJpegMetadata,
+  [PNG]: stripPngMetadata,
+  [WEBP]: stripWebpMetadata
+};
+
+// Lossless: removes the metadata blocks from the encoded bytes. Returns null when the
+// bytes don't parse as the given type.
+export const stripImageMetadata = (bytes, mimeType) => {
+  const strip = METADATA_STRIPPERS[normalizeType(mimeType)];
+  return strip ? strip(bytes) : null;
+};
+
+// --- Canvas ---
+
+export const decodeImage = async (blob) => {
+  if (typeof createImageBitmap === 'function') {
+    // Applies the EXIF orientation, so the pixels come out upright
+    return createImageBitmap(blob, { imageOrientation: 'from-image' });
+  }
+
+  const url = URL.createObjectURL(blob);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+export const getImageSize = (image) => ({
+  width: image.naturalWidth || image.width,
+  height: image.naturalHeight || image.height
+});
+
+const canvasToBlob = (canvas, type, quality) => {
+  if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality });
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to encode image'))), type, quality);
+  });
+};
+
+// Canvas output carries no metadata of its own
+export const renderImage = async (image, width, height, type, quality) => {
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement('canvas'), { width, height });
+  const context = canvas.getContext('2d');
+
+  // JPEG has no alpha; transparent areas would otherwise turn black
+  if (type === JPEG) {
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, width, height);
+  }
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image, 0, 0, width, height);
+
+  return canvasToBlob(canvas, type, quality);
+};
+
+const renameForType = (name, type) => {
+  const extension = OUTPUT_EXTENSIONS[type];
+  if (!extension || OUTPUT_EXTENSIONS[normalizeType(`image/${getExtension(name)}`)] === extension) return name;
+  const base = getExtension(name) ? name.slice(0, name.lastIndexOf('.')) : name;
+  return `${base}.${extension}`;
+};
+
+export const isProcessableImage = (file, options = getUploadConfig().imageProcessing) =>
+  !!file && options.types.includes(normalizeType(file.type));
+
+// Scales the image down to fit the configured bounds, converts it to the output type and
+// strips its metadata, doing as little as needed: an image that already fits and keeps
+// its type only has its metadata blocks cut out, so its pixels are never re-encoded.
+// Bytes the stripper can't parse are redrawn instead, so metadata never survives.
+// Resolves to { file, processed, originalSize }, where file is the original when
+// nothing applied.
+export const processImage = async (file, options = getUploadConfig().imageProcessing) => {
+  const unchanged = { file, processed: false, originalSize: file.size };
+  if (!isProcessableImage(file, options)) return unchanged;
+
+  const type = normalizeType(file.type);
+  const bytes = new Uint8Array(await readBlob(file));
+  const stripped = options.stripMetadata ? stripImageMetadata(bytes, type) : null;
+
+  const image = await decodeImage(file);
+  let result;
+  try {
+    const { width, height } = getImageSize(image);
+    const scale = Math.min(1, options.maxWidth / width, options.maxHeight / height);
+    const outputType = options.outputType || type;
+
+    // Without its EXIF block a rotated JPEG would show sideways, so it's redrawn upright;
+    // bytes the stripper couldn't parse may still carry metadata, so they are too
+    const mustRender = scale < 1 ||
+      (stripped?.orientation || 1) > 1 ||
+      (options.stripMetadata && !stripped);
+    const needsRender = mustRender || outputType !== type;
+
+    if (needsRender) {
+      const blob = await renderImage(
+        image,
+        Math.max(1, Math.round(width * scale)),
+        Math.max(1, Math.round(height * scale)),
+        outputType,
+        options.quality
+      );
+      // A conversion alone that came out bigger than the input isn't worth uploading;
+      // the lossless strip below still takes the metadata out
+      if (blob.size <= file.size || mustRender) {
+        // Browsers fall back to PNG for types they can't encode
+        result = { blob, type: blob.type || outputType };
+      }
+    }
+    if (!result && stripped?.removed) {
+      result = { blob: new Blob([stripped.bytes], { type }), type };
+    }
+  } finally {
+    image.close?.();
+  }
+
+  if (!result) return unchanged;
+
+  return {
+    file: new File([result.blob], renameForType(file.name, result.type), {
+      type: result.type,
+      lastModified: file.lastModified
+    }),
+    processed: true,
+    originalSize: file.size
+  };
+};
+
+const replaceBasename = (path, name) => {
+  const slash = path.lastIndexOf('/');
+  return slash === -1 ? name : `${path.slice(0, slash + 1)}${name}`;
+};
+
+// Runs picked or dropped { file, relativePath } entries through processImage. Images that
+// fail to decode are passed on unchanged for validation to judge.
+export const processImageEntries = async (entries, options = getUploadConfig().imageProcessing) => {
+  const processed = [];
+  for (const entry of entries) {
+    if (!isProcessableImage(entry.file, options)) {
+      processed.push(entry);
+      continue;
+    }
+
+    try {
+      const result = await processImage(entry.file, options);
+      processed.push(result.processed
+        ? {
+          ...entry,
+          file: result.file,
+          relativePath: entry.relativePath && replaceBasename(entry.relativePath, result.file.name),
+          originalSize: result.originalSize,
+          imageProcessing: options
+        }
+        : entry);
+    } catch (error) {
+      console.error(`Failed to process image ${entry.file.name}:`, error);
+      processed.push(entry);
+    }
+  }
+  return processed;
+};
\ No newline at end of file
@@ -0,0 +1,295 @@
+import { isProcessableImage, processImage, stripImageMetadata } from './imageProcessor';
+
+const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+const bytes = (...parts) => new Uint8Array(parts.flat());
+const uint16BE = (value) => [(value >> 8) & 0xff, value & 0xff];
+const uint32BE = (value) => [(value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+const uint32LE = (value) => uint32BE(value).reverse();
+
+// --- JPEG ---
+
+const jpegSegment = (marker, data) => [0xff, marker, ...uint16BE(data.length + 2), ...data];
+
+// Big-endian TIFF with a single IFD entry: Orientation (SHORT) = orientation
+const exifWithOrientation = (orientation) => [
+  ...ascii('Exif\0\0'),
+  ...ascii('MM'), 0x00, 0x2a, ...uint32BE(8),
+  ...uint16BE(1),
+  ...uint16BE(0x0112), ...uint16BE(3), ...uint32BE(1), ...uint16BE(orientation), 0, 0,
+  ...uint32BE(0)
+];
+
+const SOI = [0xff, 0xd8];
+const APP0 = jpegSegment(0xe0, [...ascii('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+const DQT = jpegSegment(0xdb, [0, 1, 2, 3]);
+const SCAN = [...jpegSegment(0xda, [1, 2, 3, 4, 5, 6]), 0x12, 0xff, 0x00, 0x34, 0xff, 0xd9];
+
+describe('stripImageMetadata: JPEG', () => {
+  test('removes EXIF and IPTC segments and reads the orientation', () => {
+    const input = bytes(
+      SOI,
+      APP0,
+      jpegSegment(0xe1, exifWithOrientation(6)),
+      jpegSegment(0xed, ascii('Photoshop 3.0\0')),
+      DQT,
+      SCAN
+    );
+    const result = stripImageMetadata(input, 'image/jpeg');
+
+    expect(result.removed).toBe(true);
+    expect(result.orientation).toBe(6);
+    expect(result.bytes).toEqual(bytes(SOI, APP0, DQT, SCAN));
+  });
+
+  test('removes XMP, which also lives in APP1', () => {
+    const input = bytes(SOI, jpegSegment(0xe1, ascii('http://ns.adobe.com/xap/1.0/\0<x/>')), SCAN);
+    const result = stripImageMetadata(input, 'image/jpg');
+
+    expect(result).toEqual({ bytes: bytes(SOI, SCAN), removed: true, orientation: 1 });
+  });
+
+  test('skips fill bytes between segments', () => {
+    const input = bytes(SOI, [0xff], jpegSegment(0xe1, exifWithOrientation(1)), DQT, SCAN);
+    expect(stripImageMetadata(input, 'image/jpeg').bytes).toEqual(bytes(SOI, DQT, SCAN));
+  });
+
+  test('returns the input untouched when there is nothing to remove', () => {
+    const input = bytes(SOI, APP0, DQT, SCAN);
+    const result = stripImageMetadata(input, 'image/jpeg');
+
+    expect(result.removed).toBe(false);
+    expect(result.bytes).toBe(input);
+  });
+
+  test('returns null for bytes that aren\'t a JPEG', () => {
+    expect(stripImageMetadata(bytes(SOI, [0x00, 0x01, 0x02, 0x03]), 'image/jpeg')).toBeNull();
+    // A segment running past the end of the data
+    expect(stripImageMetadata(bytes(SOI, [0xff, 0xe1, 0x00, 0x40, 0x00]), 'image/jpeg')).toBeNull();
+  });
+});
+
+// --- PNG ---
+
+// The CRC isn't checked, so zeros will do
+const pngChunk = (type, data) => [...uint32BE(data.length), ...ascii(type), ...data, 0, 0, 0, 0];
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const IHDR = pngChunk('IHDR', [0, 0, 0, 1, 0, 0, 0, 1, 8, 6, 0, 0, 0]);
+const IDAT = pngChunk('IDAT', [0x78, 0x9c, 0x01]);
+const IEND = pngChunk('IEND', []);
+
+describe('stripImageMetadata: PNG', () => {
+  test('removes text, time and EXIF chunks', () => {
+    const input = bytes(
+      PNG_SIGNATURE,
+      IHDR,
+      pngChunk('tEXt', ascii('Author\0someone')),
+      pngChunk('tIME', [0x07, 0xe8, 1, 2, 3, 4, 5]),
+      pngChunk('eXIf', exifWithOrientation(1).slice(6)),
+      IDAT,
+      pngChunk('iTXt', ascii('Comment\0\0\0\0\0hi')),
+      IEND
+    );
+    const result = stripImageMetadata(input, 'image/png');
+
+    expect(result).toEqual({ bytes: bytes(PNG_SIGNATURE, IHDR, IDAT, IEND), removed: true, orientation: 1 });
+  });
+
+  test('returns the input untouched when there is nothing to remove', () => {
+    const input = bytes(PNG_SIGNATURE, IHDR, IDAT, IEND);
+    const result = stripImageMetadata(input, 'image/png');
+
+    expect(result.removed).toBe(false);
+    expect(result.bytes).toBe(input);
+  });
+
+  test('returns null when a chunk runs past the end', () => {
+    expect(stripImageMetadata(bytes(PNG_SIGNATURE, IHDR, uint32BE(100), ascii('IDAT'), [1, 2, 3, 4]), 'image/png')).toBeNull();
+  });
+});
+
+// --- WebP ---
+
+// Chunks with an odd size are padded to an even length
+const webpChunk = (fourCC, data) => [...ascii(fourCC), ...uint32LE(data.length), ...data, ...(data.length % 2 ? [0] : [])];
+
+const webp = (...chunks) => {
+  const body = chunks.flat();
+  return bytes(ascii('RIFF'), uint32LE(body.length + 4), ascii('WEBP'), body);
+};
+
+// VP8X flags: 0x10 alpha, 0x08 EXIF, 0x04 XMP
+const vp8x = (flags) => webpChunk('VP8X', [flags, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+const VP8L = webpChunk('VP8L', [0x2f, 0x00, 0x00]);
+
+describe('stripImageMetadata: WebP', () => {
+  test('removes EXIF and XMP chunks and clears their flags', () => {
+    const input = webp(vp8x(0x1c), VP8L, webpChunk('EXIF', [1, 2, 3, 4]), webpChunk('XMP ', ascii('<x/>')));
+    const original = input.slice();
+    const result = stripImageMetadata(input, 'image/webp');
+
+    expect(result).toEqual({ bytes: webp(vp8x(0x10), VP8L), removed: true, orientation: 1 });
+    // The VP8X flags are cleared on a copy
+    expect(input).toEqual(original);
+  });
+
+  test('returns the input untouched when there is nothing to remove', () => {
+    const input = webp(vp8x(0x10), VP8L);
+    const result = stripImageMetadata(input, 'image/webp');
+
+    expect(result.removed).toBe(false);
+    expect(result.bytes).toBe(input);
+  });
+
+  test('returns null when a chunk runs past the end', () => {
+    const input = webp(VP8L);
+    expect(stripImageMetadata(input.subarray(0, input.length - 2), 'image/webp')).toBeNull();
+  });
+});
+
+describe('stripImageMetadata: other types', () => {
+  test('returns null for types it has no stripper for', () => {
+    expect(stripImageMetadata(bytes([0x47, 0x49, 0x46, 0x38]), 'image/gif')).toBeNull();
+  });
+});
+
+describe('isProcessableImage', () => {
+  const options = { types: ['image/jpeg', 'image/png'] };
+
+  test('goes by the configured types', () => {
+    expect(isProcessableImage({ type: 'image/jpg' }, options)).toBe(true);
+    expect(isProcessableImage({ type: 'image/PNG' }, options)).toBe(true);
+    expect(isProcessableImage({ type: 'image/webp' }, options)).toBe(false);
+    expect(isProcessableImage(null, options)).toBe(false);
+  });
+});
+
+// --- processImage, with the browser's decoder and canvas stubbed out ---
+
+describe('processImage', () => {
+  const options = {
+    types: ['image/jpeg', 'image/png', 'image/webp'],
+    maxWidth: 100,
+    maxHeight: 100,
+    quality: 0.8,
+    outputType: null,
+    stripMetadata: true
+  };
+
+  let imageSize;
+  let renderedBytes;
+  let rendered;
+
+  beforeEach(() => {
+    imageSize = { width: 50, height: 40 };
+    renderedBytes = 10;
+    rendered = [];
+    global.createImageBitmap = jest.fn(async () => ({ ...imageSize, close: jest.fn() }));
+    global.OffscreenCanvas = class {
+      constructor(width, height) {
+        this.size = { width, height };
+      }
+
+      getContext() {
+        return { fillRect() {}, drawImage() {} };
+      }
+
+      convertToBlob({ type }) {
+        rendered.push({ ...this.size, type });
+        return Promise.resolve(new Blob([new Uint8Array(renderedBytes)], { type }));
+      }
+    };
+  });
+
+  afterEach(() => {
+    delete global.createImageBitmap;
+    delete global.OffscreenCanvas;
+  });
+
+  const jpegFile = (...segments) => new File([bytes(SOI, ...segments, SCAN)], 'photo.jpg', { type: 'image/jpeg', lastModified: 5 });
+  const readFile = async (file) => new Uint8Array(await new Response(file).arrayBuffer());
+
+  test('keeps an image that fits and has no metadata as it is', async () => {
+    const file = jpegFile(APP0, DQT);
+    const result = await processImage(file, options);
+
+    expect(result).toEqual({ file, processed: false, originalSize: file.size });
+    expect(rendered).toEqual([]);
+  });
+
+  test('cuts the metadata out without re-encoding an image that fits', async () => {
+    const file = jpegFile(APP0, jpegSegment(0xe1, exifWithOrientation(1)), DQT);
+    const result = await processImage(file, options);
+
+    expect(result.processed).toBe(true);
+    expect(await readFile(result.file)).toEqual(bytes(SOI, APP0, DQT, SCAN));
+    expect(rendered).toEqual([]);
+  });
+
+  test('redraws bytes the stripper can\'t parse, even when that comes out bigger', async () => {
+    const file = new File([bytes(SOI, [0x00, 0x01, 0x02, 0x03])], 'photo.jpg', { type: 'image/jpeg' });
+    renderedBytes = file.size * 10;
+    const result = await processImage(file, options);
+
+    expect(result.processed).toBe(true);
+    expect(result.file.size).toBe(renderedBytes);
+    expect(rendered).toEqual([{ width: 50, height: 40, type: 'image/jpeg' }]);
+  });
+
+  test('leaves unparseable bytes alone when stripping is off', async () => {
+    const file = new File([bytes(SOI, [0x00, 0x01, 0x02, 0x03])], 'photo.jpg', { type: 'image/jpeg' });
+    const result = await processImage(file, { ...options, stripMetadata: false });
+
+    expect(result.file).toBe(file);
+    expect(rendered).toEqual([]);
+  });
+
+  test('keeps a resize even when it comes out bigger', async () => {
+    imageSize = { width: 400, height: 200 };
+    const file = jpegFile(APP0, DQT);
+    renderedBytes = file.size * 10;
+    const result = await processImage(file, options);
+
+    expect(result.file.size).toBe(renderedBytes);
+    expect(rendered).toEqual([{ width: 100, height: 50, type: 'image/jpeg' }]);
+  });
+
+  test('drops a conversion that comes out bigger but still strips the metadata', async () => {
+    const file = jpegFile(APP0, jpegSegment(0xe1, exifWithOrientation(1)), DQT);
+    renderedBytes = file.size * 10;
+    const result = await processImage(file, { ...options, outputType: 'image/webp' });
+
+    expect(rendered).toHaveLength(1);
+    expect(result.file.type).toBe('image/jpeg');
+    expect(result.file.name).toBe('photo.jpg');
+    expect(await readFile(result.file)).toEqual(bytes(SOI, APP0, DQT, SCAN));
+  });
+
+  test('drops a conversion that comes out bigger for an image without metadata', async () => {
+    const file = jpegFile(APP0, DQT);
+    renderedBytes = file.size * 10;
+    const result = await processImage(file, { ...options, outputType: 'image/webp' });
+
+    expect(result.file).toBe(file);
+    expect(result.processed).toBe(false);
+  });
+
+  test('keeps a conversion that comes out smaller, under the new type\'s extension', async () => {
+    const file = jpegFile(APP0, DQT);
+    renderedBytes = 1;
+    const result = await processImage(file, { ...options, outputType: 'image/webp' });
+
+    expect(result.file.type).toBe('image/webp');
+    expect(result.file.name).toBe('photo.webp');
+    expect(result.file.lastModified).toBe(5);
+  });
+
+  test('redraws a rotated JPEG upright once its EXIF block is gone', async () => {
+    const file = jpegFile(APP0, jpegSegment(0xe1, exifWithOrientation(6)), DQT);
+    renderedBytes = file.size * 10;
+    const result = await processImage(file, options);
+
+    expect(result.file.size).toBe(renderedBytes);
+    expect(global.createImageBitmap).toHaveBeenCalledWith(file, { imageOrientation: 'from-image' });
+  });
+});
\ No newline at end of file
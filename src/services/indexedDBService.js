@@ -1,6 +1,10 @@
 const DB_NAME = 'ResumableUploadDB';
-const DB_VERSION = 1;
+const DB_VERSION = 4;
 const STORE_NAME = 'files';
+// Written by public/upload-sw.js for uploads handed to it by a closing tab
+const JOBS_STORE_NAME = 'backgroundJobs';
+// Non-extractable AES keys of encrypted uploads; they go when the upload's file does
+const KEYS_STORE_NAME = 'encryptionKeys';
 
 class IndexedDBService {
   constructor() {
@@ -34,13 +38,29 @@ class IndexedDBService {
           store.createIndex('filesize', 'filesize', { unique: false });
           store.createIndex('createdAt', 'createdAt', { unique: false });
         }
+
+        // v2: content fingerprint, so files are matched by content rather than name and size
+        const store = event.target.transaction.objectStore(STORE_NAME);
+        if (!store.indexNames.contains('fingerprint')) {
+          store.createIndex('fingerprint', 'fingerprint', { unique: false });
+        }
+
+        // v3: background upload jobs
+        if (!db.objectStoreNames.contains(JOBS_STORE_NAME)) {
+          db.createObjectStore(JOBS_STORE_NAME, { keyPath: 'uploadId' });
+        }
+
+        // v4: encryption keys
+        if (!db.objectStoreNames.contains(KEYS_STORE_NAME)) {
+          db.createObjectStore(KEYS_STORE_NAME, { keyPath: 'uploadId' });
+        }
       };
     });
 
     return this.initPromise;
   }
 
-  async storeFile(uploadId, file) {
+  async storeFile(uploadId, file, { fingerprint } = {}) {
     await this.init();
     
     return new Promise((resolve, reject) => {
@@ -53,6 +73,7 @@ class IndexedDBService {
         filename: file.name,
         filesize: file.size,
         filetype: file.type,
+        fingerprint: fingerprint || null,
         createdAt: new Date().toISOString()
       };
 
@@ -84,14 +105,56 @@ class IndexedDBService {
     });
   }
 
+  async getFilesByFingerprint(fingerprint) {
+    await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORE_NAME], 'readonly');
+      const store = transaction.objectStore(STORE_NAME);
+      
+      const request = store.index('fingerprint').getAll(fingerprint);
+
+      request.onsuccess = () => {
+        resolve(request.result.map(item => ({ uploadId: item.uploadId, file: item.file })));
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // CryptoKeys are stored as they are; a non-extractable one stays non-extractable
+  async storeKey(uploadId, key) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([KEYS_STORE_NAME], 'readwrite');
+      const request = transaction.objectStore(KEYS_STORE_NAME).put({ uploadId, key });
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getKey(uploadId) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([KEYS_STORE_NAME], 'readonly');
+      const request = transaction.objectStore(KEYS_STORE_NAME).get(uploadId);
+
+      request.onsuccess = () => resolve(request.result?.key || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   async deleteFile(uploadId) {
     await this.init();
     
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORE_NAME], 'readwrite');
+      const transaction = this.db.transaction([STORE_NAME, KEYS_STORE_NAME], 'readwrite');
       const store = transaction.objectStore(STORE_NAME);
       
       const request = store.delete(uploadId);
+      transaction.objectStore(KEYS_STORE_NAME).delete(uploadId);
 
       request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
@@ -122,10 +185,11 @@ class IndexedDBService {
     await this.init();
     
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORE_NAME], 'readwrite');
+      const transaction = this.db.transaction([STORE_NAME, KEYS_STORE_NAME], 'readwrite');
       const store = transaction.objectStore(STORE_NAME);
       
       const request = store.clear();
+      transaction.objectStore(KEYS_STORE_NAME).clear();
 
       request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
@@ -136,8 +200,9 @@ class IndexedDBService {
     await this.init();
     
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORE_NAME], 'readwrite');
+      const transaction = this.db.transaction([STORE_NAME, KEYS_STORE_NAME], 'readwrite');
       const store = transaction.objectStore(STORE_NAME);
+      const keys = transaction.objectStore(KEYS_STORE_NAME);
       
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - days);
@@ -151,6 +216,7 @@ class IndexedDBService {
         if (cursor) {
           deletedKeys.push(cursor.value.uploadId);
           cursor.delete();
+          keys.delete(cursor.value.uploadId);
           cursor.continue();
         } else {
           resolve(deletedKeys);
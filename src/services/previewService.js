@@ -0,0 +1,233 @@
+import { decodeImage, getImageSize, renderImage } from './imageProcessor';
+import { getExtension } from './fileValidation';
+import { indexedDBService } from './indexedDBService';
+
+const THUMBNAIL_SIZE = 160;
+const THUMBNAIL_TYPE = 'image/jpeg';
+const THUMBNAIL_QUALITY = 0.7;
+const MAX_CACHED_PREVIEWS = 200;
+// Decoding a huge image just for a thumbnail isn't worth the memory
+const MAX_IMAGE_BYTES = 50 * 1024 * 1024;
+const VIDEO_FRAME_TIMEOUT_MS = 10000;
+
+const ICONS = {
+  image: { icon: '🖼️', label: 'Image' },
+  video: { icon: '🎬', label: 'Video' },
+  audio: { icon: '🎵', label: 'Audio' },
+  pdf: { icon: '📕', label: 'PDF' },
+  document: { icon: '📄', label: 'Document' },
+  spreadsheet: { icon: '📊', label: 'Spreadsheet' },
+  presentation: { icon: '📽️', label: 'Presentation' },
+  archive: { icon: '🗜️', label: 'Archive' },
+  text: { icon: '📝', label: 'Text' },
+  code: { icon: '💻', label: 'Code' },
+  file: { icon: '📁', label: 'File' }
+};
+
+const EXTENSION_KINDS = {
+  pdf: 'pdf',
+  doc: 'document', docx: 'document', odt: 'document', rtf: 'document', pages: 'document',
+  xls: 'spreadsheet', xlsx: 'spreadsheet', ods: 'spreadsheet', csv: 'spreadsheet', numbers: 'spreadsheet',
+  ppt: 'presentation', pptx: 'presentation', odp: 'presentation', key: 'presentation',
+  zip: 'archive', gz: 'archive', tgz: 'archive', tar: 'archive', rar: 'archive', '7z': 'archive', bz2: 'archive', xz: 'archive',
+  txt: 'text', md: 'text', log: 'text',
+  js: 'code', jsx: 'code', ts: 'code', tsx: 'code', json: 'code', html: 'code', css: 'code', py: 'code', java: 'code', go: 'code', rs: 'code', c: 'code', cpp: 'code', sh: 'code', xml: 'code', yml: 'code', yaml: 'code'
+};
+
+// What kind of file this is, from its type and failing that its extension
+export const getFileKind = ({ type, name } = {}) => {
+  const mimeType = (type || '').toLowerCase();
+  if (mimeType === 'application/pdf') return 'pdf';
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('audio/')) return 'audio';
+
+  const extension = getExtension(name);
+  if (EXTENSION_KINDS[extension]) return EXTENSION_KINDS[extension];
+  if (mimeType.startsWith('text/')) return 'text';
+  return 'file';
+};
+
+export const getFileIcon = (file) => ICONS[getFileKind(file)];
+
+const fitWithin = ({ width, height }, size) => {
+  const scale = Math.min(1, size / width, size / height);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+};
+
+const blobToDataURL = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// Thumbnails are kept as data URLs rather than object URLs, so dropping one from the
+// cache never breaks an <img> that is still showing it
+const renderThumbnail = async (source, size) => {
+  const { width, height } = fitWithin(size, THUMBNAIL_SIZE);
+  return blobToDataURL(await renderImage(source, width, height, THUMBNAIL_TYPE, THUMBNAIL_QUALITY));
+};
+
+// An <img> that is never drawn only has its header parsed, so this gives the size
+// without decoding the pixels
+const readImageSize = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  const finish = (callback) => () => {
+    URL.revokeObjectURL(url);
+    callback();
+  };
+  image.onload = finish(() => resolve(getImageSize(image)));
+  image.onerror = finish(() => reject(new Error('Image could not be decoded')));
+  image.src = url;
+});
+
+// Has the decoder downsample straight to thumbnail size, so a large photo is never
+// held in memory at full resolution
+const decodeForThumbnail = async (file) => {
+  if (typeof createImageBitmap !== 'function') return decodeImage(file);
+
+  const { width, height } = fitWithin(await readImageSize(file), THUMBNAIL_SIZE);
+  return createImageBitmap(file, {
+    imageOrientation: 'from-image',
+    resizeWidth: width,
+    resizeHeight: height,
+    resizeQuality: 'high'
+  });
+};
+
+const imageThumbnail = async (file) => {
+  if (file.size > MAX_IMAGE_BYTES) return null;
+  const image = await decodeForThumbnail(file);
+  try {
+    return await renderThumbnail(image, getImageSize(image));
+  } finally {
+    image.close?.();
+  }
+};
+
+// Seeks a tenth of the way in (at most a second) to skip black lead-in frames
+const videoPoster = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  let timer;
+
+  const finish = (callback) => (value) => {
+    clearTimeout(timer);
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+    callback(value);
+  };
+  const done = finish(resolve);
+  const fail = finish(reject);
+
+  timer = setTimeout(() => fail(new Error('Timed out reading video frame')), VIDEO_FRAME_TIMEOUT_MS);
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'metadata';
+  video.onerror = () => fail(new Error('Video could not be decoded'));
+  video.onloadedmetadata = () => {
+    video.currentTime = Math.min(1, (video.duration || 0) / 10);
+  };
+  video.onseeked = () => {
+    renderThumbnail(video, { width: video.videoWidth, height: video.videoHeight }).then(done, fail);
+  };
+  video.src = url;
+});
+
+const GENERATORS = {
+  image: imageThumbnail,
+  video: videoPoster
+};
+
+// Generates thumbnails for upload cards on demand and keeps the most recently used ones.
+// Resolves to a data URL, or null when the card should show its type icon instead.
+class PreviewService {
+  constructor() {
+    // Insertion order doubles as recency: a hit is moved to the end
+    this.cache = new Map();
+    this.pending = new Map();
+    // One at a time, so scrolling a long list doesn't decode dozens of files at once
+    this.queue = Promise.resolve();
+  }
+
+  canPreview(file) {
+    return !!GENERATORS[getFileKind(file)];
+  }
+
+  // Same content gets the same thumbnail, whichever upload it belongs to
+  getKey(upload) {
+    return upload.fingerprint || upload.uploadId;
+  }
+
+  // Leaves the recency order alone, so it's safe to call while rendering
+  peek(upload) {
+    return this.cache.get(this.getKey(upload));
+  }
+
+  // A hit counts as a use and moves the entry to the end
+  touch(upload) {
+    const key = this.getKey(upload);
+    if (!this.cache.has(key)) return undefined;
+
+    const url = this.cache.get(key);
+    this.cache.delete(key);
+    this.cache.set(key, url);
+    return url;
+  }
+
+  getPreview(upload) {
+    const cached = this.touch(upload);
+    if (cached !== undefined) return Promise.resolve(cached);
+    if (!this.canPreview({ type: upload.filetype, name: upload.filename })) return Promise.resolve(null);
+
+    const key = this.getKey(upload);
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const promise = this.queue
+      .then(() => this.generate(upload))
+      .catch(error => {
+        console.warn(`Failed to generate preview for ${upload.filename}:`, error);
+        return null;
+      })
+      .then(url => {
+        this.pending.delete(key);
+        // No file yet isn't cached, so a reselected file still gets its thumbnail
+        if (url === undefined) return null;
+        this.remember(key, url);
+        return url;
+      });
+
+    this.pending.set(key, promise);
+    this.queue = promise;
+    return promise;
+  }
+
+  async generate(upload) {
+    // After a reload the file only exists in IndexedDB
+    const file = upload.file || await indexedDBService.getFile(upload.uploadId).catch(() => null);
+    if (!file) return undefined;
+
+    const generator = GENERATORS[getFileKind(file)];
+    return generator ? generator(file) : null;
+  }
+
+  remember(key, url) {
+    this.cache.set(key, url);
+    while (this.cache.size > MAX_CACHED_PREVIEWS) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+}
+
+export const previewService = new PreviewService();
+export default previewService;
\ No newline at end of file
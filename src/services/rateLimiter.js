@@ -0,0 +1,102 @@
+import { useUploadStore } from '../stores/uploadStore';
+import { abortableSleep, raceAbort, throwIfAborted } from '../utils/abort';
+
+// A full bucket allows this many seconds' worth of bytes in one go
+const BURST_SECONDS = 1;
+// Waiters re-check at least this often so a rate changed from the UI applies straight away
+const MAX_WAIT_STEP_MS = 250;
+
+// Token bucket measured in bytes. getRate is read on every refill, so the limit
+// can change while requests are waiting; a falsy rate means unlimited.
+export class TokenBucket {
+  constructor(getRate) {
+    this.getRate = getRate;
+    this.tokens = 0;
+    this.lastRefill = Date.now();
+    // Requests take turns so a big chunk can't be starved by smaller ones
+    this.turn = Promise.resolve();
+  }
+
+  refill(rate) {
+    const now = Date.now();
+    const capacity = rate * BURST_SECONDS;
+    this.tokens = Math.min(capacity, this.tokens + ((now - this.lastRefill) / 1000) * rate);
+    this.lastRefill = now;
+    return capacity;
+  }
+
+  // An aborted waiter gives up its place at once; its queued turn then
+  // returns immediately so the requests behind it aren't held up
+  acquire(bytes, { signal } = {}) {
+    const result = this.turn.then(() => this.take(bytes, signal));
+    this.turn = result.catch(() => {});
+    return raceAbort(result, signal);
+  }
+
+  // A request bigger than the bucket goes once the bucket is full and leaves it
+  // in debt, so the average rate holds even though one chunk's bytes still
+  // leave at line speed. Only chunks that fit the bucket keep the actual rate
+  // close to the limit, see getBurstBytes.
+  async take(bytes, signal) {
+    for (;;) {
+      throwIfAborted(signal);
+      const rate = this.getRate();
+      if (!rate) {
+        this.tokens = 0;
+        this.lastRefill = Date.now();
+        return;
+      }
+
+      const capacity = this.refill(rate);
+      const needed = Math.min(bytes, capacity);
+      if (this.tokens >= needed) {
+        this.tokens -= bytes;
+        return;
+      }
+
+      await abortableSleep(Math.min(MAX_WAIT_STEP_MS, ((needed - this.tokens) / rate) * 1000), signal);
+    }
+  }
+}
+
+const getGlobalRate = () => useUploadStore.getState().settings.rateLimit;
+const getUploadRate = (uploadId) => useUploadStore.getState().getUpload(uploadId)?.rateLimit;
+
+class RateLimiter {
+  constructor() {
+    this.globalBucket = new TokenBucket(getGlobalRate);
+    this.uploadBuckets = new Map();
+  }
+
+  getUploadBucket(uploadId) {
+    if (!this.uploadBuckets.has(uploadId)) {
+      this.uploadBuckets.set(uploadId, new TokenBucket(() => getUploadRate(uploadId)));
+    }
+    return this.uploadBuckets.get(uploadId);
+  }
+
+  // Every chunk request passes both the upload's own limit and the shared one
+  async acquire(uploadId, bytes, { signal } = {}) {
+    await this.getUploadBucket(uploadId).acquire(bytes, { signal });
+    await this.globalBucket.acquire(bytes, { signal });
+  }
+
+  // The strictest limit that applies to the upload, or null when nothing limits it
+  getRate(uploadId) {
+    const rates = [getUploadRate(uploadId), getGlobalRate()].filter(rate => rate > 0);
+    return rates.length > 0 ? Math.min(...rates) : null;
+  }
+
+  // The most bytes one request can send without outrunning that limit
+  getBurstBytes(uploadId) {
+    const rate = this.getRate(uploadId);
+    return rate ? rate * BURST_SECONDS : null;
+  }
+
+  release(uploadId) {
+    this.uploadBuckets.delete(uploadId);
+  }
+}
+
+export const rateLimiter = new RateLimiter();
+export default rateLimiter;
\ No newline at end of file
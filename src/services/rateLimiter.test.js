@@ -0,0 +1,121 @@
+import { TokenBucket, rateLimiter } from './rateLimiter';
+
+const mockState = { settings: { rateLimit: null }, uploads: {} };
+
+jest.mock('../stores/uploadStore', () => ({
+  useUploadStore: {
+    getState: () => ({ ...mockState, getUpload: (uploadId) => mockState.uploads[uploadId] })
+  }
+}));
+
+// Waiters sleep in steps and schedule the next step only once the previous one
+// has settled, so time is moved forward a little at a time
+const advance = async (ms, step = 10) => {
+  for (let elapsed = 0; elapsed < ms; elapsed += step) {
+    jest.advanceTimersByTime(Math.min(step, ms - elapsed));
+    for (let flush = 0; flush < 5; flush++) await Promise.resolve();
+  }
+};
+
+const track = (promise) => {
+  const state = { settled: false, error: null };
+  promise.then(() => { state.settled = true; }, (error) => { state.settled = true; state.error = error; });
+  return state;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  mockState.settings.rateLimit = null;
+  mockState.uploads = {};
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('TokenBucket', () => {
+  test('lets requests through at once without a rate', async () => {
+    const bucket = new TokenBucket(() => null);
+    await expect(bucket.acquire(10 * 1024 * 1024)).resolves.toBeUndefined();
+  });
+
+  test('waits until enough bytes have accrued', async () => {
+    const bucket = new TokenBucket(() => 1000);
+    const request = track(bucket.acquire(500));
+
+    await advance(480);
+    expect(request.settled).toBe(false);
+    await advance(40);
+    expect(request.settled).toBe(true);
+  });
+
+  test('lets a request bigger than the bucket go once it is full, leaving it in debt', async () => {
+    const bucket = new TokenBucket(() => 1000);
+    const big = track(bucket.acquire(3000));
+    const next = track(bucket.acquire(1000));
+
+    await advance(980);
+    expect(big.settled).toBe(false);
+    await advance(40);
+    expect(big.settled).toBe(true);
+
+    // 2000 bytes of debt and then the 1000 it asked for
+    await advance(2940);
+    expect(next.settled).toBe(false);
+    await advance(60);
+    expect(next.settled).toBe(true);
+  });
+
+  test('serves requests in order', async () => {
+    const bucket = new TokenBucket(() => 1000);
+    const order = [];
+    bucket.acquire(800).then(() => order.push('big'));
+    bucket.acquire(100).then(() => order.push('small'));
+
+    await advance(1000);
+    expect(order).toEqual(['big', 'small']);
+  });
+
+  test('picks up a rate change while a request is waiting', async () => {
+    let rate = 100;
+    const bucket = new TokenBucket(() => rate);
+    const request = track(bucket.acquire(1000));
+
+    await advance(500);
+    expect(request.settled).toBe(false);
+    rate = null;
+    await advance(260);
+    expect(request.settled).toBe(true);
+  });
+
+  test('gives up the turn of an aborted request', async () => {
+    const bucket = new TokenBucket(() => 1000);
+    const controller = new AbortController();
+    const aborted = track(bucket.acquire(1000, { signal: controller.signal }));
+    const next = track(bucket.acquire(100));
+
+    await advance(100);
+    controller.abort();
+    await advance(10);
+    expect(aborted.error?.name).toBe('AbortError');
+
+    // The aborted request took no tokens, so the next one is served from what accrued
+    await advance(10);
+    expect(next.settled).toBe(true);
+  });
+});
+
+describe('rateLimiter.getBurstBytes', () => {
+  test('is null without any limit', () => {
+    mockState.uploads.a = { uploadId: 'a' };
+    expect(rateLimiter.getBurstBytes('a')).toBeNull();
+  });
+
+  test('follows the strictest limit that applies', () => {
+    mockState.settings.rateLimit = 2000;
+    mockState.uploads.a = { uploadId: 'a', rateLimit: 500 };
+    mockState.uploads.b = { uploadId: 'b' };
+    expect(rateLimiter.getBurstBytes('a')).toBe(500);
+    expect(rateLimiter.getBurstBytes('b')).toBe(2000);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,403 @@
+import { useUploadStore } from '../stores/uploadStore';
+import { FINISHED_STATUSES } from '../stores/uploadTypes';
+
+const CHANNEL_NAME = 'resumable-uploads';
+const STORAGE_CHANNEL_KEY = 'resumable-uploads-channel';
+const LOCK_PREFIX = 'resumable-upload:';
+const LEASE_PREFIX = 'resumable-upload-lease:';
+// Lease fallback: owners renew well inside the TTL, so only a closed or frozen tab lets one lapse
+const LEASE_TTL_MS = 6000;
+const LEASE_RENEW_MS = 2000;
+// Progress changes several times a second; other tabs don't need every one
+const MIRROR_THROTTLE_MS = 250;
+// A finished or removed upload keeps its lock a little longer, so waiting tabs hear
+// the news before the lock reaches them instead of picking the upload up again
+const RELEASE_DELAY_MS = 1000;
+
+const createTabId = () => `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+// The File stays with the tab that has it; other tabs restore from IndexedDB on takeover
+const toSnapshot = ({ file, ...rest }) => rest;
+
+const isFinished = (upload) => !upload || FINISHED_STATUSES.includes(upload.status);
+
+// BroadcastChannel where available, otherwise 'storage' events on a scratch localStorage key
+const createChannel = (onMessage) => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => onMessage(event.data);
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close()
+    };
+  }
+
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return { post() {}, close() {} };
+  }
+
+  const onStorage = (event) => {
+    if (event.key !== STORAGE_CHANNEL_KEY || !event.newValue) return;
+    try {
+      onMessage(JSON.parse(event.newValue).message);
+    } catch (error) {
+      console.error('Failed to read tab message:', error);
+    }
+  };
+  window.addEventListener('storage', onStorage);
+
+  return {
+    post: (message) => {
+      try {
+        // The nonce makes a repeated message still count as a change
+        window.localStorage.setItem(STORAGE_CHANNEL_KEY, JSON.stringify({ message, nonce: Math.random() }));
+      } catch (error) {
+        console.error('Failed to post tab message:', error);
+      }
+    },
+    close: () => window.removeEventListener('storage', onStorage)
+  };
+};
+
+// One exclusive Web Lock per upload, held for as long as this tab drives it.
+// The browser drops the locks of a closed tab and hands them to the next waiter.
+class WebLockOwnership {
+  constructor() {
+    this.releasers = new Map();
+    this.waiters = new Map();
+  }
+
+  request(uploadId, options) {
+    return new Promise((resolve) => {
+      navigator.locks
+        .request(`${LOCK_PREFIX}${uploadId}`, options, (lock) => {
+          if (!lock) {
+            resolve(false);
+            return undefined;
+          }
+          resolve(true);
+          return new Promise(release => this.releasers.set(uploadId, release));
+        })
+        .catch(() => resolve(false));
+    });
+  }
+
+  tryAcquire(uploadId) {
+    return this.request(uploadId, { ifAvailable: true });
+  }
+
+  waitFor(uploadId) {
+    const controller = new AbortController();
+    this.waiters.set(uploadId, controller);
+    return this.request(uploadId, { signal: controller.signal }).finally(() => {
+      if (this.waiters.get(uploadId) === controller) this.waiters.delete(uploadId);
+    });
+  }
+
+  cancelWait(uploadId) {
+    this.waiters.get(uploadId)?.abort();
+    this.waiters.delete(uploadId);
+  }
+
+  release(uploadId) {
+    this.releasers.get(uploadId)?.();
+    this.releasers.delete(uploadId);
+  }
+
+  releaseAll() {
+    // The browser does this when the document goes away
+  }
+}
+
+// Without Web Locks, ownership is a localStorage lease the owner keeps renewing;
+// waiting tabs poll for one that has lapsed
+class LeaseOwnership {
+  constructor(tabId) {
+    this.tabId = tabId;
+    this.held = new Set();
+    this.waiters = new Map();
+    this.timer = null;
+  }
+
+  readLease(uploadId) {
+    try {
+      return JSON.parse(window.localStorage.getItem(`${LEASE_PREFIX}${uploadId}`));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  writeLease(uploadId) {
+    window.localStorage.setItem(
+      `${LEASE_PREFIX}${uploadId}`,
+      JSON.stringify({ tabId: this.tabId, expiresAt: Date.now() + LEASE_TTL_MS })
+    );
+  }
+
+  async tryAcquire(uploadId) {
+    const lease = this.readLease(uploadId);
+    if (lease && lease.tabId !== this.tabId && lease.expiresAt > Date.now()) {
+      return false;
+    }
+
+    this.writeLease(uploadId);
+    // Two tabs can both see a lapsed lease; the later write wins and the other backs off
+    await new Promise(resolve => setTimeout(resolve, 50));
+    if (this.readLease(uploadId)?.tabId !== this.tabId) {
+      return false;
+    }
+
+    this.held.add(uploadId);
+    this.ensureTimer();
+    return true;
+  }
+
+  waitFor(uploadId) {
+    return new Promise((resolve) => {
+      this.waiters.set(uploadId, resolve);
+      this.ensureTimer();
+    });
+  }
+
+  cancelWait(uploadId) {
+    this.waiters.get(uploadId)?.(false);
+    this.waiters.delete(uploadId);
+  }
+
+  ensureTimer() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), LEASE_RENEW_MS);
+  }
+
+  async tick() {
+    this.held.forEach(uploadId => this.writeLease(uploadId));
+
+    for (const [uploadId, resolve] of [...this.waiters]) {
+      if (await this.tryAcquire(uploadId)) {
+        this.waiters.delete(uploadId);
+        resolve(true);
+      }
+    }
+
+    if (this.held.size === 0 && this.waiters.size === 0) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  release(uploadId) {
+    this.held.delete(uploadId);
+    if (this.readLease(uploadId)?.tabId === this.tabId) {
+      window.localStorage.removeItem(`${LEASE_PREFIX}${uploadId}`);
+    }
+  }
+
+  releaseAll() {
+    [...this.held].forEach(uploadId => this.release(uploadId));
+  }
+}
+
+const supportsWebLocks = () =>
+  typeof navigator !== 'undefined' && !!navigator.locks && typeof navigator.locks.request === 'function';
+
+// Makes sure each upload is driven by exactly one open tab. The owner mirrors the
+// upload's state to the other tabs, which forward user commands back to it and
+// queue up to take over when it closes.
+class TabCoordinator {
+  constructor() {
+    this.tabId = createTabId();
+    this.started = false;
+    this.owned = new Set();
+    this.watching = new Set();
+    // uploadId -> tabId of the owner, as last announced
+    this.owners = new Map();
+    this.mirrorTimers = new Map();
+    this.dirty = new Set();
+    this.handlers = {};
+  }
+
+  // onTakeover(uploadId): this tab inherited an upload from a tab that went away
+  // onCommand(command, uploadId, args): another tab asked the owner to act
+  start(handlers = {}) {
+    if (this.started || typeof window === 'undefined') return;
+    this.started = true;
+    this.handlers = handlers;
+    this.ownership = supportsWebLocks() ? new WebLockOwnership() : new LeaseOwnership(this.tabId);
+    this.channel = createChannel(message => this.handleMessage(message));
+    this.unsubscribe = useUploadStore.subscribe((state, prevState) => this.handleStoreChange(state, prevState));
+    window.addEventListener('pagehide', () => this.stop());
+    this.post({ type: 'hello' });
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.post({ type: 'bye' });
+    this.ownership.releaseAll();
+  }
+
+  post(message) {
+    this.channel?.post({ ...message, tabId: this.tabId });
+  }
+
+  isOwner(uploadId) {
+    return !this.started || this.owned.has(uploadId);
+  }
+
+  isOwnedElsewhere(uploadId) {
+    if (!this.started || this.owned.has(uploadId)) return false;
+    const owner = this.owners.get(uploadId);
+    return !!owner && owner !== this.tabId;
+  }
+
+  // Resolves true when this tab may drive the upload. On false it queues for a takeover.
+  async claim(uploadId) {
+    if (!this.started || this.owned.has(uploadId)) return true;
+
+    const acquired = await this.ownership.tryAcquire(uploadId);
+    if (acquired) {
+      this.markOwned(uploadId);
+    } else {
+      this.watch(uploadId);
+    }
+    return acquired;
+  }
+
+  markOwned(uploadId) {
+    this.owned.add(uploadId);
+    this.owners.set(uploadId, this.tabId);
+    this.post({ type: 'claim', uploadId });
+    this.mirror(uploadId);
+  }
+
+  watch(uploadId) {
+    if (!this.started || this.owned.has(uploadId) || this.watching.has(uploadId)) return;
+    this.watching.add(uploadId);
+
+    this.ownership.waitFor(uploadId).then((acquired) => {
+      this.watching.delete(uploadId);
+      if (!acquired) return;
+
+      this.markOwned(uploadId);
+      this.handlers.onTakeover?.(uploadId);
+    });
+  }
+
+  release(uploadId, { delay = 0 } = {}) {
+    if (!this.owned.has(uploadId)) return;
+    this.owned.delete(uploadId);
+    this.owners.delete(uploadId);
+    clearTimeout(this.mirrorTimers.get(uploadId));
+    this.mirrorTimers.delete(uploadId);
+    this.dirty.delete(uploadId);
+
+    const releaseLock = () => {
+      this.ownership.release(uploadId);
+      this.post({ type: 'release', uploadId });
+    };
+    if (delay > 0) {
+      setTimeout(releaseLock, delay);
+    } else {
+      releaseLock();
+    }
+  }
+
+  sendCommand(uploadId, command, args = []) {
+    this.post({ type: 'command', uploadId, command, args });
+  }
+
+  mirror(uploadId) {
+    const upload = useUploadStore.getState().getUpload(uploadId);
+    if (upload) {
+      this.post({ type: 'upload', upload: toSnapshot(upload) });
+    }
+  }
+
+  // At most one message per upload per interval, always followed by the latest state
+  scheduleMirror(uploadId) {
+    if (this.mirrorTimers.has(uploadId)) {
+      this.dirty.add(uploadId);
+      return;
+    }
+
+    this.mirror(uploadId);
+    this.mirrorTimers.set(uploadId, setTimeout(() => {
+      this.mirrorTimers.delete(uploadId);
+      if (this.dirty.delete(uploadId) && this.owned.has(uploadId)) {
+        this.scheduleMirror(uploadId);
+      }
+    }, MIRROR_THROTTLE_MS));
+  }
+
+  handleStoreChange(state, prevState) {
+    for (const uploadId of [...this.owned]) {
+      const upload = state.uploads[uploadId];
+      if (upload === prevState.uploads[uploadId]) continue;
+
+      if (!upload) {
+        this.post({ type: 'removed', uploadId });
+        this.release(uploadId, { delay: RELEASE_DELAY_MS });
+      } else if (isFinished(upload)) {
+        // Final state goes out right away; nothing is left to drive
+        this.mirror(uploadId);
+        this.release(uploadId, { delay: RELEASE_DELAY_MS });
+      } else {
+        this.scheduleMirror(uploadId);
+      }
+    }
+  }
+
+  handleMessage(message) {
+    if (!message || message.tabId === this.tabId) return;
+    const { applyRemoteUpload, applyRemoteRemoval } = useUploadStore.getState();
+
+    switch (message.type) {
+      case 'hello':
+        // A new tab: tell it what we drive and where each upload stands
+        this.owned.forEach(uploadId => this.mirror(uploadId));
+        break;
+      case 'claim':
+        this.owners.set(message.uploadId, message.tabId);
+        break;
+      case 'release':
+        if (this.owners.get(message.uploadId) === message.tabId) {
+          this.owners.delete(message.uploadId);
+        }
+        break;
+      case 'upload': {
+        const { uploadId } = message.upload;
+        if (this.owned.has(uploadId)) break;
+        this.owners.set(uploadId, message.tabId);
+        applyRemoteUpload(message.upload);
+        if (!isFinished(message.upload)) {
+          this.watch(uploadId);
+        } else if (this.watching.has(uploadId)) {
+          this.ownership.cancelWait(uploadId);
+        }
+        break;
+      }
+      case 'removed':
+        if (this.owned.has(message.uploadId)) break;
+        this.owners.delete(message.uploadId);
+        if (this.watching.has(message.uploadId)) {
+          this.ownership.cancelWait(message.uploadId);
+        }
+        applyRemoteRemoval(message.uploadId);
+        break;
+      case 'command':
+        if (this.owned.has(message.uploadId)) {
+          this.handlers.onCommand?.(message.command, message.uploadId, message.args || []);
+        }
+        break;
+      case 'bye':
+        this.owners.forEach((owner, uploadId) => {
+          if (owner === message.tabId) this.owners.delete(uploadId);
+        });
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+export const tabCoordinator = new TabCoordinator();
+export default tabCoordinator;
\ No newline at end of file
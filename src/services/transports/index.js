@@ -0,0 +1,31 @@
+import { restTransport } from './restTransport';
+import { s3Transport } from './s3Transport';
+import { tusTransport } from './tusTransport';
+import { getUploadConfig } from '../../config/uploadConfig';
+
+// Every transport exposes the same shape, so uploadActions never builds a request itself:
+//   name, supportsParallelChunks, supportsFileChecksum, supportsChunkChecksums, supportsMetadataUpdate,
+//   supportsEncryption
+//   initiate(file, { relativePath, fingerprint, metadata, encryption, signal }) -> { uploadId, transportData?, ...chunk layout }
+//   getStatus(upload, { signal }) -> { status, uploadedChunks, chunks?, parts? }
+//   uploadChunk(upload, { chunk, chunkIndex, start, end, checksum, onUploadProgress, signal }) -> { part? }
+//   complete(upload, integrity, { signal }), pause(upload, opts), resume(upload, opts), terminate(upload, opts)
+//   updateMetadata(upload, metadata, { signal }), only when supportsMetadataUpdate
+const transports = {
+  [restTransport.name]: restTransport,
+  [s3Transport.name]: s3Transport,
+  [tusTransport.name]: tusTransport
+};
+
+export const TRANSPORT_NAMES = Object.keys(transports);
+
+export const getTransport = (name = getUploadConfig().transport) => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown upload transport: ${name}`);
+  }
+  return transport;
+};
+
+// Uploads keep the transport they were started with, whatever the config says now
+export const getUploadTransport = (upload) => getTransport(upload?.transport || restTransport.name);
\ No newline at end of file
@@ -0,0 +1,84 @@
+import { getApiClient } from '../apiClient';
+import { CHECKSUM_ALGORITHM } from '../checksumService';
+import { isVariableChunking } from '../../utils/chunks';
+
+// The original bespoke protocol: /initiate, /:id/chunk, /:id/status,
+// /:id/complete, /:id/metadata, /:id/pause, /:id/resume and DELETE /:id
+class RestTransport {
+  constructor() {
+    this.name = 'rest';
+    this.supportsParallelChunks = true;
+    this.supportsFileChecksum = true;
+    this.supportsChunkChecksums = true;
+    this.supportsMetadataUpdate = true;
+    this.supportsEncryption = true;
+  }
+
+  async initiate(file, { relativePath, fingerprint, metadata, encryption, signal } = {}) {
+    const response = await getApiClient().post('/initiate', {
+      filename: file.name,
+      filetype: file.type,
+      filesize: file.size,
+      relativePath,
+      fingerprint,
+      metadata,
+      encryption,
+      // Lets the server opt into offset-addressed chunks by advertising min/max sizes.
+      // Encrypted chunks don't fill their plaintext byte ranges, so they stay indexed.
+      supportsVariableChunks: !encryption
+    }, { signal });
+    return response.data;
+  }
+
+  async getStatus(upload, { signal } = {}) {
+    const response = await getApiClient().get(`/${upload.uploadId}/status`, { signal });
+    return response.data;
+  }
+
+  async uploadChunk(upload, { chunk, chunkIndex, start, end, checksum, onUploadProgress, signal }) {
+    const formData = new FormData();
+    formData.append('chunk', chunk);
+    formData.append('chunkIndex', chunkIndex);
+    formData.append('offset', start);
+    formData.append('size', end - start);
+    // Not known up front for variable-size uploads
+    if (!isVariableChunking(upload)) {
+      formData.append('totalChunks', upload.totalChunks);
+    }
+
+    if (checksum) {
+      formData.append('checksum', checksum);
+      formData.append('checksumAlgorithm', CHECKSUM_ALGORITHM);
+    }
+
+    return getApiClient().post(`/${upload.uploadId}/chunk`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 60000,
+      onUploadProgress,
+      signal
+    });
+  }
+
+  complete(upload, integrity, { signal } = {}) {
+    return getApiClient().post(`/${upload.uploadId}/complete`, integrity, { signal });
+  }
+
+  updateMetadata(upload, metadata, { signal } = {}) {
+    return getApiClient().patch(`/${upload.uploadId}/metadata`, { metadata }, { signal });
+  }
+
+  pause(upload, { signal } = {}) {
+    return getApiClient().post(`/${upload.uploadId}/pause`, null, { signal });
+  }
+
+  resume(upload, { signal } = {}) {
+    return getApiClient().post(`/${upload.uploadId}/resume`, null, { signal });
+  }
+
+  terminate(upload, { signal } = {}) {
+    return getApiClient().delete(`/${upload.uploadId}`, { signal });
+  }
+}
+
+export const restTransport = new RestTransport();
+export default restTransport;
\ No newline at end of file
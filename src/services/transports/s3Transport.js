@@ -0,0 +1,113 @@
+import axios from 'axios';
+import { getApiClient } from '../apiClient';
+
+// S3 numbers parts from 1
+const toPartNumber = (chunkIndex) => chunkIndex + 1;
+
+// Our API starts and finishes the multipart upload and signs one URL per part;
+// the chunk bytes go from the browser straight to S3
+class S3Transport {
+  constructor() {
+    this.name = 's3';
+    this.supportsParallelChunks = true;
+    // The API never sees the bytes, so it has nothing to check digests against
+    this.supportsFileChecksum = false;
+    this.supportsChunkChecksums = false;
+    this.supportsMetadataUpdate = true;
+    this.supportsEncryption = true;
+  }
+
+  async initiate(file, { relativePath, fingerprint, metadata, encryption, signal } = {}) {
+    const response = await getApiClient().post('/initiate', {
+      filename: file.name,
+      filetype: file.type,
+      filesize: file.size,
+      relativePath,
+      fingerprint,
+      metadata,
+      encryption,
+      transport: this.name
+    }, { signal });
+    return response.data;
+  }
+
+  // Parts S3 already holds come back from ListParts via the status endpoint
+  async getStatus(upload, { signal } = {}) {
+    const response = await getApiClient().get(`/${upload.uploadId}/status`, { signal });
+    const server = response.data;
+    if (!Array.isArray(server.parts)) return server;
+
+    const parts = {};
+    for (const { PartNumber, ETag } of server.parts) {
+      parts[PartNumber - 1] = { partNumber: PartNumber, etag: ETag };
+    }
+    return {
+      ...server,
+      uploadedChunks: Object.keys(parts).map(Number),
+      parts
+    };
+  }
+
+  // Signed on demand; a URL handed out at initiate could expire before a resume
+  async getPartUrl(upload, partNumber, signal) {
+    const response = await getApiClient().get(`/${upload.uploadId}/parts/${partNumber}/url`, { signal });
+    return response.data.url;
+  }
+
+  async putPart(upload, { chunk, partNumber, onUploadProgress, signal }) {
+    const url = await this.getPartUrl(upload, partNumber, signal);
+    // Plain axios: the API client's default headers aren't part of the signature
+    return axios.put(url, chunk, {
+      timeout: 60000,
+      onUploadProgress,
+      signal
+    });
+  }
+
+  async uploadChunk(upload, { chunk, chunkIndex, onUploadProgress, signal }) {
+    const partNumber = toPartNumber(chunkIndex);
+    let response;
+    try {
+      response = await this.putPart(upload, { chunk, partNumber, onUploadProgress, signal });
+    } catch (error) {
+      // Expired signature; ask for a fresh URL once
+      if (error?.response?.status !== 403) throw error;
+      response = await this.putPart(upload, { chunk, partNumber, onUploadProgress, signal });
+    }
+
+    const etag = response.headers.etag;
+    if (!etag) {
+      throw new Error('S3 did not expose the part ETag; check the bucket CORS ExposeHeaders');
+    }
+    return { part: { partNumber, etag } };
+  }
+
+  complete(upload, integrity, { signal } = {}) {
+    const parts = Object.values(upload.parts || {})
+      .sort((a, b) => a.partNumber - b.partNumber)
+      .map(({ partNumber, etag }) => ({ PartNumber: partNumber, ETag: etag }));
+
+    return getApiClient().post(`/${upload.uploadId}/complete`, { ...integrity, parts }, { signal });
+  }
+
+  // Kept by our API with the upload and applied to the object when it completes
+  updateMetadata(upload, metadata, { signal } = {}) {
+    return getApiClient().patch(`/${upload.uploadId}/metadata`, { metadata }, { signal });
+  }
+
+  pause(upload, { signal } = {}) {
+    return getApiClient().post(`/${upload.uploadId}/pause`, null, { signal });
+  }
+
+  resume(upload, { signal } = {}) {
+    return getApiClient().post(`/${upload.uploadId}/resume`, null, { signal });
+  }
+
+  // The API aborts the multipart upload so S3 drops the stored parts
+  terminate(upload, { signal } = {}) {
+    return getApiClient().delete(`/${upload.uploadId}`, { signal });
+  }
+}
+
+export const s3Transport = new S3Transport();
+export default s3Transport;
\ No newline at end of file
@@ -0,0 +1,100 @@
+import axios from 'axios';
+import { s3Transport } from './s3Transport';
+
+let server;
+let requests;
+
+// Routes are "<METHOD> <url>" for both our API and the presigned S3 URLs
+axios.defaults.adapter = async (config) => {
+  const path = config.url.replace(config.baseURL || '', '');
+  requests.push({ route: `${config.method.toUpperCase()} ${path}`, config });
+  const { status = 200, data = {}, headers = {} } = (await server(config, path)) || {};
+  if (status >= 400) {
+    throw Object.assign(new Error(`Request failed with status ${status}`), {
+      config,
+      response: { status, data, headers }
+    });
+  }
+  return { data, status, statusText: '', headers, config };
+};
+
+const upload = { uploadId: 'abc', transport: 's3' };
+const routes = () => requests.map(({ route }) => route);
+
+// Signs a new URL on every request, the way the API does
+let signed;
+const signingServer = (put) => (config, path) => {
+  if (path.startsWith('/abc/parts/')) {
+    signed += 1;
+    return { data: { url: `https://bucket.s3.amazonaws.com/key?partNumber=${path.split('/')[3]}&sig=${signed}` } };
+  }
+  return put(config, signed);
+};
+
+beforeEach(() => {
+  requests = [];
+  signed = 0;
+  server = () => ({});
+});
+
+describe('s3Transport', () => {
+  test('puts a part to a freshly signed URL and keeps its ETag', async () => {
+    server = signingServer(() => ({ headers: { etag: '"e2"' } }));
+
+    await expect(s3Transport.uploadChunk(upload, { chunk: new Blob(['ab']), chunkIndex: 1 }))
+      .resolves.toEqual({ part: { partNumber: 2, etag: '"e2"' } });
+    expect(routes()).toEqual([
+      'GET /abc/parts/2/url',
+      'PUT https://bucket.s3.amazonaws.com/key?partNumber=2&sig=1'
+    ]);
+    // Headers the signature doesn't cover would make S3 reject the request
+    expect(requests[1].config.headers.Authorization).toBeUndefined();
+    expect(requests[1].config.headers['Cache-Control']).toBeUndefined();
+  });
+
+  test('asks for a new URL once when the signature expired', async () => {
+    server = signingServer((config, sig) => (sig === 1 ? { status: 403 } : { headers: { etag: '"e1"' } }));
+
+    await expect(s3Transport.uploadChunk(upload, { chunk: new Blob(['ab']), chunkIndex: 0 }))
+      .resolves.toEqual({ part: { partNumber: 1, etag: '"e1"' } });
+    expect(signed).toBe(2);
+  });
+
+  test('gives up when the new URL is refused too', async () => {
+    server = signingServer(() => ({ status: 403 }));
+
+    await expect(s3Transport.uploadChunk(upload, { chunk: new Blob(['ab']), chunkIndex: 0 }))
+      .rejects.toMatchObject({ response: { status: 403 } });
+    expect(signed).toBe(2);
+  });
+
+  test('explains a missing ETag', async () => {
+    server = signingServer(() => ({}));
+
+    await expect(s3Transport.uploadChunk(upload, { chunk: new Blob(['ab']), chunkIndex: 0 }))
+      .rejects.toThrow(/ExposeHeaders/);
+  });
+
+  test('maps the parts S3 holds back to chunks', async () => {
+    server = () => ({ data: { status: 'uploading', parts: [{ PartNumber: 1, ETag: '"e1"' }, { PartNumber: 3, ETag: '"e3"' }] } });
+
+    await expect(s3Transport.getStatus(upload)).resolves.toMatchObject({
+      uploadedChunks: [0, 2],
+      parts: { 0: { partNumber: 1, etag: '"e1"' }, 2: { partNumber: 3, etag: '"e3"' } }
+    });
+  });
+
+  test('completes with the parts in order', async () => {
+    const parts = { 2: { partNumber: 3, etag: '"e3"' }, 0: { partNumber: 1, etag: '"e1"' }, 1: { partNumber: 2, etag: '"e2"' } };
+    await s3Transport.complete({ ...upload, parts });
+
+    expect(routes()).toEqual(['POST /abc/complete']);
+    expect(JSON.parse(requests[0].config.data)).toEqual({
+      parts: [
+        { PartNumber: 1, ETag: '"e1"' },
+        { PartNumber: 2, ETag: '"e2"' },
+        { PartNumber: 3, ETag: '"e3"' }
+      ]
+    });
+  });
+});
\ No newline at end of file
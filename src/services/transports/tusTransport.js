@@ -0,0 +1,167 @@
+import axios from 'axios';
+import { CHECKSUM_ALGORITHM } from '../checksumService';
+import { getChunkRange } from '../../utils/chunks';
+import { getUploadConfig } from '../../config/uploadConfig';
+
+const TUS_VERSION = '1.0.0';
+
+// A tus server isn't our API: its requests get none of the API client's cache headers
+// (stock servers reject them in CORS preflight), bearer auth or circuit breaker
+const tusClient = axios.create({ timeout: 30000 });
+
+const toBase64 = (text) => {
+  const bytes = new TextEncoder().encode(String(text));
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+// Upload-Checksum carries the digest base64-encoded, ours are hex
+const hexToBase64 = (hex) =>
+  btoa(hex.match(/.{2}/g).map(pair => String.fromCharCode(parseInt(pair, 16))).join(''));
+
+const encodeMetadata = (metadata) =>
+  Object.entries(metadata)
+    .filter(([, value]) => value != null && value !== '')
+    .map(([key, value]) => `${key} ${toBase64(value)}`)
+    .join(',');
+
+const getOffset = (response) => parseInt(response.headers['upload-offset'], 10);
+
+// tus 1.0 core plus the creation, checksum and termination extensions.
+// PATCH requests must arrive in offset order, so chunks go one at a time.
+class TusTransport {
+  constructor() {
+    this.name = 'tus';
+    this.supportsParallelChunks = false;
+    this.supportsFileChecksum = false;
+    this.supportsChunkChecksums = true;
+    // Upload-Metadata is fixed when the upload is created
+    this.supportsMetadataUpdate = false;
+    // Encrypted chunks are longer than the plaintext ranges, and tus addresses bytes by offset
+    this.supportsEncryption = false;
+  }
+
+  getHeaders(headers = {}) {
+    return { 'Tus-Resumable': TUS_VERSION, ...headers };
+  }
+
+  async initiate(file, { relativePath, fingerprint, metadata, signal } = {}) {
+    const { tusEndpoint } = getUploadConfig();
+    const response = await tusClient.post(tusEndpoint, null, {
+      headers: this.getHeaders({
+        'Upload-Length': file.size,
+        'Upload-Metadata': encodeMetadata({
+          filename: file.name,
+          filetype: file.type,
+          relativePath,
+          fingerprint,
+          // Keys can't hold spaces or commas, so custom fields travel as one JSON value
+          metadata: metadata && Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : null
+        })
+      }),
+      signal
+    });
+
+    const location = response.headers.location;
+    if (!location) {
+      throw new Error('tus server did not return a Location header');
+    }
+
+    const uploadUrl = new URL(location, tusEndpoint).toString();
+    return {
+      uploadId: uploadUrl.replace(/\/+$/, '').split('/').pop(),
+      transportData: { uploadUrl }
+    };
+  }
+
+  async headOffset(upload, signal) {
+    const response = await tusClient.head(upload.transportData.uploadUrl, {
+      // The server marks HEAD responses no-store itself
+      headers: this.getHeaders(),
+      signal
+    });
+    return {
+      offset: getOffset(response),
+      length: parseInt(response.headers['upload-length'], 10)
+    };
+  }
+
+  // tus only knows a byte offset; every chunk that ends at or before it is done
+  async getStatus(upload, { signal } = {}) {
+    const { offset, length } = await this.headOffset(upload, signal);
+    const uploadedChunks = [];
+    for (let chunkIndex = 0; chunkIndex < upload.totalChunks; chunkIndex++) {
+      if (getChunkRange(upload, chunkIndex).end <= offset) {
+        uploadedChunks.push(chunkIndex);
+      }
+    }
+
+    return {
+      status: offset >= (length || upload.filesize) ? 'completed' : 'uploading',
+      uploadedChunks,
+      offset
+    };
+  }
+
+  patch(upload, { chunk, offset, checksum, onUploadProgress, signal }) {
+    return tusClient.patch(upload.transportData.uploadUrl, chunk, {
+      headers: this.getHeaders({
+        'Content-Type': 'application/offset+octet-stream',
+        'Upload-Offset': offset,
+        ...(checksum ? { 'Upload-Checksum': `${CHECKSUM_ALGORITHM} ${hexToBase64(checksum)}` } : {})
+      }),
+      timeout: 60000,
+      onUploadProgress,
+      signal
+    });
+  }
+
+  // A 460 (checksum mismatch) is rethrown as is; uploadActions reads and sends the chunk again
+  async uploadChunk(upload, { chunk, start, end, checksum, onUploadProgress, signal }) {
+    try {
+      return await this.patch(upload, { chunk, offset: start, checksum, onUploadProgress, signal });
+    } catch (error) {
+      if (error?.response?.status !== 409) throw error;
+
+      // The server kept part of an interrupted PATCH; send only what it is missing
+      const { offset } = await this.headOffset(upload, signal);
+      if (offset >= end) return null;
+      if (offset < start) throw error;
+
+      return this.patch(upload, {
+        chunk: chunk.slice(offset - start),
+        offset,
+        onUploadProgress,
+        signal
+      });
+    }
+  }
+
+  // The upload is finished once the last byte is accepted
+  async complete() {
+    return null;
+  }
+
+  // Nothing to tell the server; stopping the PATCH requests is the pause
+  async pause() {
+    return null;
+  }
+
+  async resume() {
+    return null;
+  }
+
+  terminate(upload, { signal } = {}) {
+    if (!upload.transportData?.uploadUrl) return Promise.resolve(null);
+    return tusClient.delete(upload.transportData.uploadUrl, {
+      headers: this.getHeaders(),
+      signal
+    });
+  }
+}
+
+export const tusTransport = new TusTransport();
+export default tusTransport;
\ No newline at end of file
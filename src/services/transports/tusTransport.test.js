@@ -0,0 +1,127 @@
+import axios from 'axios';
+import { TextDecoder, TextEncoder } from 'util';
+
+// jsdom has neither
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+let server;
+let requests;
+
+// tusClient copies the adapter when it's created, so it has to be set before the import below
+axios.defaults.adapter = async (config) => {
+  requests.push(config);
+  const { status = 204, headers = {} } = (await server(config)) || {};
+  if (status >= 400) {
+    throw Object.assign(new Error(`Request failed with status ${status}`), {
+      config,
+      response: { status, data: '', headers }
+    });
+  }
+  return { data: '', status, statusText: '', headers, config };
+};
+
+const { tusTransport } = require('./tusTransport');
+
+const upload = {
+  uploadId: 'abc',
+  filesize: 10,
+  chunkSize: 4,
+  totalChunks: 3,
+  transportData: { uploadUrl: 'http://localhost:4000/files/abc' }
+};
+
+const header = (config, name) => config.headers[name];
+const decode = (value) => new TextDecoder().decode(Uint8Array.from(atob(value), c => c.charCodeAt(0)));
+
+beforeEach(() => {
+  requests = [];
+  server = () => ({});
+});
+
+describe('tusTransport', () => {
+  test('creates the upload with its length and base64 metadata', async () => {
+    server = () => ({ status: 201, headers: { location: '/files/abc' } });
+    const file = new File(['0123456789'], 'résumé.pdf', { type: 'application/pdf' });
+
+    const result = await tusTransport.initiate(file, { relativePath: 'docs/cv', fingerprint: 'fp' });
+
+    expect(result).toEqual({ uploadId: 'abc', transportData: { uploadUrl: 'http://localhost:4000/files/abc' } });
+    const [create] = requests;
+    expect(create.method).toBe('post');
+    expect(header(create, 'Tus-Resumable')).toBe('1.0.0');
+    expect(header(create, 'Upload-Length')).toBe('10');
+    expect(header(create, 'Cache-Control')).toBeUndefined();
+    const metadata = Object.fromEntries(
+      header(create, 'Upload-Metadata').split(',').map(pair => pair.split(' ')).map(([key, value]) => [key, decode(value)])
+    );
+    expect(metadata).toEqual({ filename: 'résumé.pdf', filetype: 'application/pdf', relativePath: 'docs/cv', fingerprint: 'fp' });
+  });
+
+  test('fails without a Location header', async () => {
+    server = () => ({ status: 201 });
+    await expect(tusTransport.initiate(new File(['x'], 'x.txt'))).rejects.toThrow(/Location/);
+  });
+
+  test('turns the server offset into the chunks it holds', async () => {
+    server = () => ({ status: 200, headers: { 'upload-offset': '8', 'upload-length': '10' } });
+
+    await expect(tusTransport.getStatus(upload)).resolves.toEqual({ status: 'uploading', uploadedChunks: [0, 1], offset: 8 });
+    expect(requests[0].method).toBe('head');
+  });
+
+  test('reports the upload complete once the offset reaches its length', async () => {
+    server = () => ({ status: 200, headers: { 'upload-offset': '10', 'upload-length': '10' } });
+    await expect(tusTransport.getStatus(upload)).resolves.toMatchObject({ status: 'completed', uploadedChunks: [0, 1, 2] });
+  });
+
+  test('patches a chunk at its offset with a base64 checksum', async () => {
+    const chunk = new Blob(['4567']);
+    await tusTransport.uploadChunk(upload, { chunk, chunkIndex: 1, start: 4, end: 8, checksum: '00ff10' });
+
+    const [patch] = requests;
+    expect(patch.method).toBe('patch');
+    expect(patch.url).toBe(upload.transportData.uploadUrl);
+    expect(header(patch, 'Upload-Offset')).toBe('4');
+    expect(header(patch, 'Content-Type')).toBe('application/offset+octet-stream');
+    expect(header(patch, 'Upload-Checksum')).toBe('sha256 AP8Q');
+  });
+
+  test('after a 409 sends only the bytes the server is missing', async () => {
+    server = (config) => {
+      if (config.method === 'head') return { status: 200, headers: { 'upload-offset': '6', 'upload-length': '10' } };
+      return header(config, 'Upload-Offset') === '4' ? { status: 409 } : {};
+    };
+    await tusTransport.uploadChunk(upload, { chunk: new Blob(['4567']), chunkIndex: 1, start: 4, end: 8 });
+
+    const retry = requests[2];
+    expect(requests.map(({ method }) => method)).toEqual(['patch', 'head', 'patch']);
+    expect(header(retry, 'Upload-Offset')).toBe('6');
+    await expect(new Response(retry.data).text()).resolves.toBe('67');
+  });
+
+  test('after a 409 skips a chunk the server already has', async () => {
+    server = (config) => config.method === 'head'
+      ? { status: 200, headers: { 'upload-offset': '8', 'upload-length': '10' } }
+      : { status: 409 };
+
+    await expect(tusTransport.uploadChunk(upload, { chunk: new Blob(['4567']), chunkIndex: 1, start: 4, end: 8 }))
+      .resolves.toBeNull();
+    expect(requests).toHaveLength(2);
+  });
+
+  test('passes a 460 checksum mismatch back to be re-sent', async () => {
+    server = () => ({ status: 460 });
+    await expect(tusTransport.uploadChunk(upload, { chunk: new Blob(['4567']), chunkIndex: 1, start: 4, end: 8 }))
+      .rejects.toMatchObject({ response: { status: 460 } });
+  });
+
+  test('terminates with a DELETE, or does nothing before the upload exists', async () => {
+    await tusTransport.terminate(upload);
+    await tusTransport.terminate({ uploadId: 'temp_1' });
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].method).toBe('delete');
+    expect(requests[0].url).toBe(upload.transportData.uploadUrl);
+  });
+});
\ No newline at end of file
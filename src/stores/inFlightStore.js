@@ -0,0 +1,49 @@
+import { create } from 'zustand';
+
+// Bytes of each chunk that are on the wire but not yet acknowledged, per upload. They
+// change with every progress event, so they're kept out of the upload store: nothing
+// here is persisted or mirrored to other tabs, and only the progress bar re-renders.
+// uploadedChunks in the upload store stays the source of truth for resumption.
+export const useInFlightStore = create((set) => ({
+  bytes: {},
+
+  setChunkBytes: (uploadId, chunkIndex, chunkBytes) =>
+    set((state) => {
+      const { [chunkIndex]: previous, ...others } = state.bytes[uploadId] || {};
+      if (!(chunkBytes > 0) && previous === undefined) return {};
+
+      const chunks = chunkBytes > 0 ? { ...others, [chunkIndex]: chunkBytes } : others;
+      return { bytes: { ...state.bytes, [uploadId]: chunks } };
+    }),
+
+  // Chunks the server acknowledged no longer count as in flight
+  clearChunks: (uploadId, chunkIndexes) =>
+    set((state) => {
+      const chunks = state.bytes[uploadId];
+      if (!chunks || !chunkIndexes.some(chunkIndex => chunkIndex in chunks)) return {};
+
+      return {
+        bytes: {
+          ...state.bytes,
+          [uploadId]: Object.fromEntries(
+            Object.entries(chunks).filter(([chunkIndex]) => !chunkIndexes.includes(Number(chunkIndex)))
+          )
+        }
+      };
+    }),
+
+  clearUpload: (uploadId) =>
+    set((state) => {
+      if (!state.bytes[uploadId]) return {};
+      const { [uploadId]: cleared, ...bytes } = state.bytes;
+      return { bytes };
+    })
+}));
+
+const sumBytes = (chunks) => Object.values(chunks || {}).reduce((total, bytes) => total + bytes, 0);
+
+export const getInFlightBytes = (uploadId) => sumBytes(useInFlightStore.getState().bytes[uploadId]);
+
+export const useInFlightBytes = (uploadId) => useInFlightStore(state => sumBytes(state.bytes[uploadId]));
+
+export default useInFlightStore;
\ No newline at end of file
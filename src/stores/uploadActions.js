@@ -1,70 +1,233 @@
-import axios from 'axios';
 import { useUploadStore } from './uploadStore';
-import { UPLOAD_STATUS } from './uploadTypes';
+import { useInFlightStore } from './inFlightStore';
+import { FINISHED_STATUSES, PAUSE_REASONS, UPLOAD_STATUS } from './uploadTypes';
+import { uploadScheduler } from './uploadScheduler';
 import { indexedDBService } from '../services/indexedDBService';
+import { withRetry } from '../services/apiClient';
+import { getTransport, getUploadTransport } from '../services/transports';
+import {
+  CHECKSUM_ALGORITHM,
+  FILE_CHECKSUM_TYPE,
+  compositeChecksum,
+  getMismatchedChunks,
+  isChecksumMismatch,
+  isChecksumSupported
+} from '../services/checksumService';
+import { chunkWorkerClient } from '../services/chunkWorkerClient';
+import { computeFingerprint, isSampleFingerprint } from '../services/fingerprintService';
+import { rateLimiter } from '../services/rateLimiter';
+import { tabCoordinator } from '../services/tabCoordinator';
+import { processImage } from '../services/imageProcessor';
+import { sanitizeFilename, withSanitizedName } from '../services/fileValidation';
+import { encryptionService } from '../services/encryptionService';
+import {
+  CHUNK_MODES,
+  getChunkRange,
+  getNextChunkIndex,
+  isVariableChunking,
+  mergeServerChunks
+} from '../utils/chunks';
+import { nextChunkSize } from '../utils/adaptiveChunkSize';
+import { isAbortError } from '../utils/abort';
+import { hasMetadata, normalizeMetadata } from '../utils/metadata';
+import {
+  clampChunkConcurrency,
+  getRetryPolicy,
+  getUploadConfig,
+  resolveChunkConcurrency
+} from '../config/uploadConfig';
+
+// One controller per upload; every request made on its behalf carries the
+// signal, so pause, cancel and remove stop network activity straight away
+const abortControllers = new Map();
+
+const getUploadSignal = (uploadId) => {
+  let controller = abortControllers.get(uploadId);
+  if (!controller || controller.signal.aborted) {
+    controller = new AbortController();
+    abortControllers.set(uploadId, controller);
+  }
+  return controller.signal;
+};
+
+// The pause call has a controller of its own: taking a fresh one from abortControllers
+// would hand a live signal to pool workers that are still winding down
+const pauseControllers = new Map();
+
+const abortUploadRequests = (uploadId) => {
+  const controller = abortControllers.get(uploadId);
+  abortControllers.delete(uploadId);
+  controller?.abort();
+  pauseControllers.get(uploadId)?.abort();
+  pauseControllers.delete(uploadId);
+};
 
-const createApiClient = () => {
-  const baseURL = process.env.REACT_APP_API_URL || 'http://localhost:4000/api/uploads';
+// Retries with the operation's policy and mirrors the wait on the upload, so the card
+// can say "retrying in 12s". Several chunks may be backing off at once; the latest
+// wait is shown and only its own request clears it.
+const withUploadRetry = async (uploadId, operation, fn, { signal } = {}) => {
+  const { getUpload, updateUpload } = useUploadStore.getState();
+  let shownRetryAt = null;
 
-  const client = axios.create({
-    baseURL: baseURL,
-    timeout: 30000,
-    headers: {
-      'Cache-Control': 'no-cache',
-      'Pragma': 'no-cache'
+  try {
+    return await withRetry(fn, {
+      ...getRetryPolicy(operation),
+      signal,
+      onRetry: ({ attempt, nextRetryAt, error }) => {
+        shownRetryAt = nextRetryAt;
+        updateUpload(uploadId, {
+          retryAttempt: attempt,
+          retryOperation: operation,
+          nextRetryAt,
+          lastRetryError: error?.message || 'unknown error'
+        });
+      }
+    });
+  } finally {
+    if (shownRetryAt && getUpload(uploadId)?.nextRetryAt === shownRetryAt) {
+      updateUpload(uploadId, { retryAttempt: 0, retryOperation: null, nextRetryAt: null, lastRetryError: null });
     }
-  });
+  }
+};
+
+// Another tab drives this upload; hand it the command instead of racing it
+const forwardToOwner = (uploadId, command, ...args) => {
+  if (!tabCoordinator.isOwnedElsewhere(uploadId)) return false;
+  tabCoordinator.sendCommand(uploadId, command, args);
+  return true;
+};
+
+// Transports that need chunks in order get one request at a time
+const getChunkConcurrency = (upload) =>
+  getUploadTransport(upload).supportsParallelChunks ? resolveChunkConcurrency(upload) : 1;
 
-  client.interceptors.response.use(
-    (res) => res,
-    (error) => Promise.reject(error)
-  );
+const MAX_CHECKSUM_RETRIES = 3;
+const PROGRESS_THROTTLE_MS = 200;
 
-  return client;
+const getChunkBlob = (upload, chunkIndex) => {
+  const { start, end } = getChunkRange(upload, chunkIndex);
+  return upload.file.slice(start, end);
 };
 
-const isRetryableError = (error) => {
-  if (!error || !error.response) {
-    return true;
+// Web Crypto only exists on secure origins; elsewhere uploads go without checksums,
+// the same way fingerprinting falls back to none
+let warnedNoChecksums = false;
+const checksumsEnabled = () => {
+  if (!getUploadConfig().chunkChecksums) return false;
+  if (isChecksumSupported()) return true;
+  if (!warnedNoChecksums) {
+    warnedNoChecksums = true;
+    console.warn('Web Crypto is unavailable (insecure origin?); uploading without checksums');
   }
-  const status = error.response.status;
-  // 408, 425, 429, 5xx are retryable
-  if (status === 408 || status === 425 || status === 429) return true;
-  if (status >= 500 && status < 600) return true;
   return false;
 };
 
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-const backoffDelay = (attempt, base = 1000, max = 30000) => {
-  const expo = Math.min(max, base * Math.pow(2, attempt));
-  return Math.floor(Math.random() * expo);
+const recordChunkChecksum = (uploadId, chunkIndex, checksum) => {
+  const { getUpload, updateUpload } = useUploadStore.getState();
+  const upload = getUpload(uploadId);
+  if (!upload) return;
+
+  updateUpload(uploadId, {
+    chunkChecksums: { ...(upload.chunkChecksums || {}), [chunkIndex]: checksum }
+  });
 };
 
-const withRetry = async (fn, { retries = 5, base = 1000, max = 30000 } = {}) => {
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      if (attempt >= retries || !isRetryableError(error)) {
-        throw error;
+const buildFileChecksum = async (uploadId) => {
+  const { getUpload } = useUploadStore.getState();
+  const digests = [];
+
+  for (let chunkIndex = 0; chunkIndex < getUpload(uploadId).totalChunks; chunkIndex++) {
+    const upload = getUpload(uploadId);
+    let digest = upload.chunkChecksums?.[chunkIndex];
+
+    // Chunks sent before checksums were recorded have to be hashed from the file
+    if (!digest) {
+      // Ciphertext gets a fresh IV every time, so what was sent can't be hashed again
+      if (upload.encryption) return undefined;
+      if (!(await ensureFileAvailable(uploadId))) {
+        throw new Error('File not available to compute checksum');
       }
-      const delay = backoffDelay(attempt, base, max);
-      await sleep(delay);
+      digest = await chunkWorkerClient.hashBlob(getChunkBlob(getUpload(uploadId), chunkIndex));
+      recordChunkChecksum(uploadId, chunkIndex, digest);
     }
+
+    digests.push(digest);
+  }
+
+  return {
+    checksum: await compositeChecksum(digests),
+    checksumAlgorithm: CHECKSUM_ALGORITHM,
+    checksumType: FILE_CHECKSUM_TYPE,
+    chunkChecksums: digests
+  };
+};
+
+// Variable-size uploads also get the server's byte ranges, so chunks can be
+// located even when the local plan was lost
+const applyServerProgress = (uploadId, server) => {
+  const { getUpload, updateUpload, updateProgress } = useUploadStore.getState();
+  const upload = getUpload(uploadId);
+  if (!upload) return;
+
+  if (Array.isArray(server.chunks)) {
+    const chunkRanges = mergeServerChunks(upload.chunkRanges, server.chunks);
+    updateUpload(uploadId, {
+      chunkRanges,
+      totalChunks: Math.max(upload.totalChunks || 0, getNextChunkIndex({ chunkRanges }))
+    });
+  }
+
+  // The server's part list is authoritative; local entries it doesn't know were never stored
+  if (server.parts) {
+    updateUpload(uploadId, { parts: server.parts });
+  }
+
+  updateProgress(uploadId, server.uploadedChunks || [], upload.chunkSize, upload.filesize);
+};
+
+// Each chunk leaves at line speed whatever the speed limit, so under a limit
+// variable-size uploads keep chunks to what the limit allows in one burst
+const getMaxChunkSize = (upload) => {
+  const burstBytes = rateLimiter.getBurstBytes(upload.uploadId);
+  return burstBytes
+    ? Math.max(upload.minChunkSize, Math.min(upload.maxChunkSize, burstBytes))
+    : upload.maxChunkSize;
+};
+
+const adaptChunkSize = (uploadId, { failed = false } = {}) => {
+  const { getUpload, updateUpload } = useUploadStore.getState();
+  const upload = getUpload(uploadId);
+  if (!isVariableChunking(upload)) return;
+
+  const chunkSize = nextChunkSize({
+    current: upload.chunkSize,
+    min: upload.minChunkSize,
+    max: getMaxChunkSize(upload),
+    throughput: upload.smoothedThroughput,
+    concurrency: getChunkConcurrency(upload),
+    failed
+  });
+
+  if (chunkSize !== upload.chunkSize) {
+    updateUpload(uploadId, { chunkSize });
   }
 };
 
 const reconcileFromServer = async (uploadId) => {
-  const apiClient = createApiClient();
-  const { getUpload, updateProgress, setUploadStatus } = useUploadStore.getState();
+  const { getUpload, setUploadStatus } = useUploadStore.getState();
   const local = getUpload(uploadId);
   if (!local) return;
 
   try {
-    const res = await withRetry(() => apiClient.get(`/${uploadId}/status`));
-    const server = res.data;
+    const signal = getUploadSignal(uploadId);
+    const server = await withUploadRetry(
+      uploadId,
+      'status',
+      () => getUploadTransport(local).getStatus(local, { signal }),
+      { signal }
+    );
 
-    updateProgress(uploadId, server.uploadedChunks || [], local.chunkSize, local.filesize);
+    applyServerProgress(uploadId, server);
 
     if (server.status === 'completed') {
       setUploadStatus(uploadId, UPLOAD_STATUS.COMPLETED);
@@ -74,6 +237,7 @@ const reconcileFromServer = async (uploadId) => {
       // leave as-is; client will decide next step
     }
   } catch (err) {
+    if (isAbortError(err)) return;
     useUploadStore.getState().updateUpload(uploadId, {
       lastError: `Failed to reconcile status: ${err?.message || 'unknown error'}`,
       lastErrorAt: new Date().toISOString()
@@ -81,13 +245,84 @@ const reconcileFromServer = async (uploadId) => {
   }
 };
 
+const hasUsableFile = (file) =>
+  !!file && typeof file.slice === 'function' && file.size > 0;
+
+const getFingerprint = async (file) => {
+  try {
+    return await computeFingerprint(file);
+  } catch (error) {
+    // Without a fingerprint uploads fall back to name and size matching
+    console.error('Failed to fingerprint file:', error);
+    return null;
+  }
+};
+
+// A sample fingerprint only covers the head, tail and size, so a file edited in the
+// middle shares it; matching on one also takes the same name or modification time
+const isSameFile = (upload, file, fingerprint) =>
+  !!fingerprint &&
+  upload.fingerprint === fingerprint &&
+  (!isSampleFingerprint(fingerprint) ||
+    upload.filename === file.name ||
+    (upload.lastModified != null && upload.lastModified === file.lastModified));
+
+const findResumableUpload = (fingerprint, file) =>
+  useUploadStore.getState().getUploads().find(u =>
+    isSameFile(u, file, fingerprint) &&
+    !u.uploadId.startsWith('temp_') &&
+    [UPLOAD_STATUS.PENDING, UPLOAD_STATUS.QUEUED, UPLOAD_STATUS.PAUSED, UPLOAD_STATUS.UPLOADING].includes(u.status)
+  ) || null;
+
+async function attachFileToUpload(uploadId, file) {
+  const { getUpload, updateUpload } = useUploadStore.getState();
+  const upload = getUpload(uploadId);
+  if (!upload) return;
+
+  updateUpload(uploadId, {
+    file,
+    needsFile: false,
+    lastError: undefined
+  });
+
+  try {
+    await indexedDBService.storeFile(uploadId, file, { fingerprint: upload.fingerprint });
+  } catch (error) {
+    console.error('Failed to store file in IndexedDB:', error);
+  }
+}
+
+const getReselectMismatch = async (upload, file) => {
+  if (!hasUsableFile(file)) return 'file is empty or unreadable';
+  if (file.name !== upload.filename) return `expected "${upload.filename}", got "${file.name}"`;
+  if (file.size !== upload.filesize) return `expected ${upload.filesize} bytes, got ${file.size}`;
+  // Browsers don't always report a type, so only compare when both sides have one
+  if (file.type && upload.filetype && file.type !== upload.filetype) {
+    return `expected type ${upload.filetype}, got ${file.type}`;
+  }
+  if (upload.fingerprint) {
+    const fingerprint = await getFingerprint(file);
+    if (fingerprint && fingerprint !== upload.fingerprint) return 'file contents have changed';
+  }
+  return null;
+};
+
 async function restoreFileFromIndexedDB(uploadId) {
   const { getUpload, updateUpload } = useUploadStore.getState();
   const u = getUpload(uploadId);
   if (!u) return false;
 
   try {
-    const file = await indexedDBService.getFile(uploadId);
+    let file = await indexedDBService.getFile(uploadId);
+
+    // Same content may still be stored under another upload's id
+    if (!file && u.fingerprint) {
+      const matches = await indexedDBService.getFilesByFingerprint(u.fingerprint);
+      file = matches.find(match => isSameFile(u, match.file, u.fingerprint))?.file || null;
+      if (file) {
+        await indexedDBService.storeFile(uploadId, file, { fingerprint: u.fingerprint });
+      }
+    }
     
     if (file) {
       // Verify the file is valid before updating state
@@ -100,7 +335,7 @@ async function restoreFileFromIndexedDB(uploadId) {
         return true;
       } else {
         updateUpload(uploadId, {
-          lastError: 'Invalid file format. Please restart the upload.',
+          lastError: 'Stored file is invalid. Please reselect the file.',
           lastErrorAt: new Date().toISOString(),
           needsFile: true
         });
@@ -108,7 +343,7 @@ async function restoreFileFromIndexedDB(uploadId) {
       }
     } else {
       updateUpload(uploadId, {
-        lastError: 'File not found in storage. Please restart the upload.',
+        lastError: 'File not found in storage. Please reselect the file.',
         lastErrorAt: new Date().toISOString(),
         needsFile: true
       });
@@ -116,7 +351,7 @@ async function restoreFileFromIndexedDB(uploadId) {
     }
   } catch (error) {
     updateUpload(uploadId, {
-      lastError: 'Failed to restore file. Please restart the upload.',
+      lastError: 'Failed to restore file. Please reselect the file.',
       lastErrorAt: new Date().toISOString(),
       needsFile: true
     });
@@ -130,7 +365,7 @@ async function ensureFileAvailable(uploadId) {
   if (!u) return false;
 
   // Check if file is available and valid
-  if (!u.file || typeof u.file.slice !== 'function' || u.file.size === 0) {
+  if (!hasUsableFile(u.file)) {
     const restored = await restoreFileFromIndexedDB(uploadId);
     if (!restored) {
       setUploadStatus(uploadId, UPLOAD_STATUS.PAUSED);
@@ -140,66 +375,169 @@ async function ensureFileAvailable(uploadId) {
   return true;
 }
 
+// Encrypted uploads need their key; after a reload it comes from IndexedDB, and failing
+// that the user has to enter the passphrase again
+async function ensureEncryptionKey(uploadId) {
+  const { getUpload, setUploadStatus, updateUpload } = useUploadStore.getState();
+  const u = getUpload(uploadId);
+  if (!u) return false;
+  if (!u.encryption || (await encryptionService.getKey(u))) return true;
+
+  setUploadStatus(uploadId, UPLOAD_STATUS.PAUSED);
+  updateUpload(uploadId, {
+    needsPassphrase: true,
+    lastError: 'Enter the encryption passphrase to resume this upload',
+    lastErrorAt: new Date().toISOString()
+  });
+  return false;
+}
+
 export const uploadActions = {
-  async initiateUpload(file) {
-    const { addUpload, removeUpload, clearStaleUploads, setError } = useUploadStore.getState();
+  async initiateUpload(file, options = {}) {
+    const { addUpload, removeUpload, updateProgress, clearStaleUploads, setError } = useUploadStore.getState();
 
     try {
       // Validate file before proceeding
-      if (!file || typeof file.slice !== 'function' || file.size === 0) {
+      if (!hasUsableFile(file)) {
         throw new Error('Invalid file selected');
       }
 
-      clearStaleUploads(file);
+      const fingerprint = await getFingerprint(file);
+
+      // The same content is already tracked: reattach instead of starting over
+      const existing = fingerprint && findResumableUpload(fingerprint, file);
+      if (existing) {
+        if (!hasUsableFile(existing.file)) {
+          await attachFileToUpload(existing.uploadId, file);
+          try {
+            await uploadActions.refreshStatus(existing.uploadId);
+          } catch (error) {
+            // Status is reconciled again when the upload starts
+            console.warn('Failed to refresh status of reattached upload:', error);
+          }
+        }
+        return existing.uploadId;
+      }
+
+      clearStaleUploads(file, fingerprint);
 
-      const tempUploadId = 'temp_' + Date.now();
+      // Per upload, so a caller can send one file direct to S3 while the rest use the default
+      const transport = getTransport(options.transport);
+
+      const { encryption: encryptionConfig } = getUploadConfig();
+      if (encryptionConfig.enabled && !transport.supportsEncryption) {
+        throw new Error(`Encrypted uploads are not supported by the ${transport.name} transport`);
+      }
+      const encryption = encryptionConfig.enabled
+        ? await encryptionService.createUploadKey({ iterations: encryptionConfig.kdfIterations })
+        : null;
+
+      // Several files can be initiated within the same millisecond
+      const tempUploadId = `temp_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
       const tempUpload = {
         uploadId: tempUploadId,
         file,
         filename: file.name,
         filetype: file.type,
         filesize: file.size,
+        lastModified: file.lastModified,
+        // Path inside a dropped or picked folder, used by the server to rebuild the tree
+        relativePath: options.relativePath || file.name,
+        fingerprint,
         status: UPLOAD_STATUS.INITIATING,
         uploadedBytes: 0,
         progress: 0,
         uploadedChunks: [],
         chunkSize: 5242880,
         totalChunks: Math.ceil(file.size / 5242880),
+        concurrency: options.concurrency != null ? clampChunkConcurrency(options.concurrency) : undefined,
+        // Bytes per second for this upload alone, on top of the global limit
+        rateLimit: options.rateLimit || null,
         createdAt: new Date().toISOString(),
-        needsFile: false
+        needsFile: false,
+        transport: transport.name,
+        // Project, tags, description, destination folder and any custom fields
+        metadata: normalizeMetadata(options.metadata),
+        // Set when the file is a resized or stripped image; the options used let a
+        // reselected original be processed the same way
+        originalSize: options.originalSize ?? null,
+        imageProcessing: options.imageProcessing || null,
+        // How the chunks are encrypted, including the wrapped key; never the key itself
+        encryption: encryption?.params || null
       };
 
       addUpload(tempUpload);
 
-      const apiClient = createApiClient();
-      const response = await withRetry(() =>
-        apiClient.post('/initiate', {
-          filename: file.name,
-          filetype: file.type,
-          filesize: file.size
-        })
+      // Removing the placeholder while the server is still answering aborts the call
+      const signal = getUploadSignal(tempUploadId);
+      const initiated = await withUploadRetry(
+        tempUploadId,
+        'initiate',
+        () => transport.initiate(file, {
+          relativePath: tempUpload.relativePath,
+          // A server-side match would hand back chunks encrypted under another key
+          fingerprint: encryption ? undefined : fingerprint,
+          metadata: hasMetadata(tempUpload.metadata) ? tempUpload.metadata : undefined,
+          encryption: tempUpload.encryption || undefined,
+          signal
+        }),
+        { signal }
       );
+      abortControllers.delete(tempUploadId);
 
-      const serverUploadId = response.data.uploadId;
+      const serverUploadId = initiated.uploadId;
       if (!serverUploadId) {
         throw new Error('Server did not return uploadId');
       }
 
       removeUpload(tempUploadId);
 
+      const { minChunkSize, maxChunkSize } = initiated;
+      const isVariable = minChunkSize > 0 && maxChunkSize >= minChunkSize;
+      const chunkSize = initiated.chunkSize || tempUpload.chunkSize;
+      const serverChunkRanges = mergeServerChunks({}, initiated.chunks);
+
       const finalUpload = {
         ...tempUpload,
         uploadId: serverUploadId,
         status: UPLOAD_STATUS.PENDING,
-        s3Key: response.data.s3Key,
-        chunkSize: response.data.chunkSize || tempUpload.chunkSize,
-        totalChunks: response.data.totalChunks || tempUpload.totalChunks
+        s3Key: initiated.s3Key,
+        // Whatever the transport needs to address the upload later, e.g. the tus upload URL
+        transportData: initiated.transportData,
+        ...(isVariable
+          ? {
+              // Chunks are planned one at a time, so the count grows as the upload runs
+              chunkMode: CHUNK_MODES.VARIABLE,
+              minChunkSize,
+              maxChunkSize,
+              chunkSize: Math.min(maxChunkSize, Math.max(minChunkSize, chunkSize)),
+              chunkRanges: serverChunkRanges,
+              totalChunks: getNextChunkIndex({ chunkRanges: serverChunkRanges })
+            }
+          : {
+              chunkMode: CHUNK_MODES.FIXED,
+              chunkSize,
+              totalChunks: initiated.totalChunks || Math.ceil(file.size / chunkSize)
+            })
       };
 
+      if (encryption) {
+        await encryptionService.saveKey(serverUploadId, encryption.key);
+      }
+
       addUpload(finalUpload);
+      // Created here, so this tab drives it
+      await tabCoordinator.claim(serverUploadId);
+
+      // The server may recognise the fingerprint and hand back an upload it already has chunks for
+      if (Array.isArray(initiated.uploadedChunks) && initiated.uploadedChunks.length > 0) {
+        updateProgress(serverUploadId, initiated.uploadedChunks, finalUpload.chunkSize, finalUpload.filesize);
+      }
+
       return serverUploadId;
     } catch (error) {
-      setError(error.message);
+      // Aborted because the placeholder was removed; nothing to report
+      if (!isAbortError(error)) setError(error.message);
       throw error;
     }
   },
@@ -209,6 +547,7 @@ export const uploadActions = {
     const upload = getUpload(uploadId);
     const uiState = getUIState();
     if (!upload) return;
+    if (forwardToOwner(uploadId, 'startUpload')) return;
 
     if (uiState.isOffline || (typeof navigator !== 'undefined' && !navigator.onLine)) {
       updateUpload(uploadId, {
@@ -223,12 +562,35 @@ export const uploadActions = {
       return;
     }
 
-    setUploadStatus(uploadId, UPLOAD_STATUS.UPLOADING);
-    await this.uploadChunks(uploadId);
+    uploadScheduler.enqueue(uploadId);
+  },
+
+  // Called by the scheduler once the upload holds a slot
+  async runUpload(uploadId) {
+    const { getUpload, setUploadStatus, updateUpload } = useUploadStore.getState();
+    if (!getUpload(uploadId)) return;
+    // Lost a race with another tab; its state will arrive through the mirror
+    if (!(await tabCoordinator.claim(uploadId))) return;
+
+    try {
+      if (!(await ensureFileAvailable(uploadId))) {
+        return;
+      }
+
+      setUploadStatus(uploadId, UPLOAD_STATUS.UPLOADING);
+      await this.uploadChunks(uploadId);
+    } catch (error) {
+      if (isAbortError(error) || !getUpload(uploadId)) return;
+      updateUpload(uploadId, {
+        lastError: `Upload error: ${error?.message || 'unknown error'}`,
+        lastErrorAt: new Date().toISOString()
+      });
+      setUploadStatus(uploadId, UPLOAD_STATUS.PAUSED);
+    }
   },
 
   async uploadChunks(uploadId) {
-    const { getUpload, updateProgress, setUploadStatus, setError, updateUpload } = useUploadStore.getState();
+    const { getUpload, markChunkUploaded, planNextChunk, updateProgress, setUploadStatus, setError, updateUpload } = useUploadStore.getState();
     let upload = getUpload(uploadId);
     if (!upload) return;
 
@@ -237,6 +599,7 @@ export const uploadActions = {
     try {
       await this.refreshStatus(uploadId);
     } catch (e) {
+      if (isAbortError(e)) return;
       updateUpload(uploadId, {
         lastError: `Status check failed: ${e?.message || 'unknown error'}`,
         lastErrorAt: new Date().toISOString()
@@ -244,40 +607,128 @@ export const uploadActions = {
     }
 
     upload = getUpload(uploadId);
+    if (!upload) return;
+
+    const isVariable = isVariableChunking(upload);
+
+    const pendingChunks = [];
     for (let chunkIndex = 0; chunkIndex < upload.totalChunks; chunkIndex++) {
-      if (typeof navigator !== 'undefined' && !navigator.onLine) {
-        setUploadStatus(uploadId, UPLOAD_STATUS.PAUSED);
-        updateUpload(uploadId, {
-          lastError: 'Network offline. Upload paused.',
-          lastErrorAt: new Date().toISOString()
-        });
-        return;
+      const isPlanned = !isVariable || !!upload.chunkRanges?.[chunkIndex];
+      if (isPlanned && !upload.uploadedChunks.includes(chunkIndex)) {
+        pendingChunks.push(chunkIndex);
       }
+    }
 
-      const currentUpload = getUpload(uploadId);
-      if (!currentUpload || currentUpload.status !== UPLOAD_STATUS.UPLOADING) {
-        return; // Paused or canceled elsewhere
+    // Chunks planned earlier go first; variable-size uploads then plan new ones
+    // at the current adaptive size until the whole file is covered
+    const takeNextChunk = () => {
+      if (pendingChunks.length > 0) return pendingChunks.shift();
+      if (!isVariable) return null;
+
+      // A limit set since the last chunk applies to the next one straight away
+      const current = getUpload(uploadId);
+      const maxChunkSize = getMaxChunkSize(current);
+      if (current.chunkSize > maxChunkSize) {
+        updateUpload(uploadId, { chunkSize: maxChunkSize });
       }
+      return planNextChunk(uploadId);
+    };
 
-      if (currentUpload.uploadedChunks.includes(chunkIndex)) {
-        continue;
-      }
+    // Shared by every worker so one failure or pause stops the whole pool
+    let stopped = false;
 
-      const success = await this.uploadChunk(uploadId, chunkIndex);
-      if (!success) {
-        setUploadStatus(uploadId, UPLOAD_STATUS.PAUSED);
-        return;
+    const runWorker = async () => {
+      while (!stopped) {
+        if (typeof navigator !== 'undefined' && !navigator.onLine) {
+          stopped = true;
+          setUploadStatus(uploadId, UPLOAD_STATUS.PAUSED);
+          updateUpload(uploadId, {
+            lastError: 'Network offline. Upload paused.',
+            lastErrorAt: new Date().toISOString()
+          });
+          return;
+        }
+
+        const currentUpload = getUpload(uploadId);
+        if (!currentUpload || currentUpload.status !== UPLOAD_STATUS.UPLOADING) {
+          stopped = true;
+          return; // Paused or canceled elsewhere
+        }
+
+        const chunkIndex = takeNextChunk();
+        if (chunkIndex == null) {
+          return;
+        }
+        if (currentUpload.uploadedChunks.includes(chunkIndex)) {
+          continue;
+        }
+
+        const success = await this.uploadChunk(uploadId, chunkIndex);
+        if (!success) {
+          stopped = true;
+          // An aborted chunk means pause or cancel already settled the status
+          if (getUpload(uploadId)?.status === UPLOAD_STATUS.UPLOADING) {
+            setUploadStatus(uploadId, UPLOAD_STATUS.PAUSED);
+          }
+          return;
+        }
+
+        markChunkUploaded(uploadId, chunkIndex);
       }
+    };
 
-      const newUploadedChunks = [...currentUpload.uploadedChunks, chunkIndex];
-      updateProgress(uploadId, newUploadedChunks, currentUpload.chunkSize, currentUpload.filesize);
-    }
+    const concurrency = getChunkConcurrency(upload);
+    const poolSize = isVariable ? concurrency : Math.max(1, Math.min(concurrency, pendingChunks.length));
+    await Promise.all(Array.from({ length: poolSize }, () => runWorker()));
+
+    if (stopped) return;
+
+    const finishedUpload = getUpload(uploadId);
+    if (!finishedUpload || finishedUpload.status !== UPLOAD_STATUS.UPLOADING) return;
 
-    const apiClient = createApiClient();
+    const transport = getUploadTransport(finishedUpload);
     try {
-      await withRetry(() => apiClient.post(`/${uploadId}/complete`));
+      const integrity = checksumsEnabled() && transport.supportsFileChecksum
+        ? await buildFileChecksum(uploadId)
+        : undefined;
+      const signal = getUploadSignal(uploadId);
+      await withUploadRetry(
+        uploadId,
+        'complete',
+        () => transport.complete(getUpload(uploadId), integrity, { signal }),
+        { signal }
+      );
+      if (finishedUpload.integrityRetries) {
+        // The re-upload fixed the mismatch, so the warning no longer applies
+        updateUpload(uploadId, { lastError: undefined });
+      }
       setUploadStatus(uploadId, UPLOAD_STATUS.COMPLETED);
     } catch (error) {
+      if (isAbortError(error)) return;
+
+      const mismatchedChunks = getMismatchedChunks(error);
+      const integrityRetries = finishedUpload.integrityRetries || 0;
+      if (mismatchedChunks && mismatchedChunks.length > 0 && integrityRetries < MAX_CHECKSUM_RETRIES) {
+        // Drop the chunks the server rejected and send them again
+        const { chunkChecksums = {} } = getUpload(uploadId);
+        const remainingChecksums = Object.fromEntries(
+          Object.entries(chunkChecksums).filter(([index]) => !mismatchedChunks.includes(Number(index)))
+        );
+        updateUpload(uploadId, {
+          integrityRetries: integrityRetries + 1,
+          chunkChecksums: remainingChecksums,
+          lastError: `Checksum mismatch on chunks ${mismatchedChunks.join(', ')}. Re-uploading.`,
+          lastErrorAt: new Date().toISOString()
+        });
+        updateProgress(
+          uploadId,
+          finishedUpload.uploadedChunks.filter(index => !mismatchedChunks.includes(index)),
+          finishedUpload.chunkSize,
+          finishedUpload.filesize
+        );
+        return this.uploadChunks(uploadId);
+      }
+
       setError(error.message);
       setUploadStatus(uploadId, UPLOAD_STATUS.FAILED);
       updateUpload(uploadId, {
@@ -288,11 +739,12 @@ export const uploadActions = {
   },
 
   async uploadChunk(uploadId, chunkIndex) {
-    const { getUpload, setUploadStatus, updateUpload } = useUploadStore.getState();
+    const { getUpload, setUploadStatus, updateUpload, recordChunkPart, recordChunkTiming } = useUploadStore.getState();
+    const { setChunkBytes } = useInFlightStore.getState();
     const upload = getUpload(uploadId);
     if (!upload) return false;
 
-    if (!(await ensureFileAvailable(uploadId))) {
+    if (!(await ensureFileAvailable(uploadId)) || !(await ensureEncryptionKey(uploadId))) {
       return false;
     }
 
@@ -305,46 +757,121 @@ export const uploadActions = {
       return false;
     }
 
-    const start = chunkIndex * upload.chunkSize;
-    const end = Math.min(start + upload.chunkSize, upload.filesize);
-    const chunk = upload.file.slice(start, end);
+    const transport = getUploadTransport(upload);
+    const signal = getUploadSignal(uploadId);
+    // Paused or canceled while the file was being restored; the abort never reached
+    // this signal, so the status has the final say
+    if (getUpload(uploadId)?.status !== UPLOAD_STATUS.UPLOADING) return false;
 
-    const formData = new FormData();
-    formData.append('chunk', chunk);
-    formData.append('chunkIndex', chunkIndex);
-    formData.append('totalChunks', upload.totalChunks);
+    // A checksum mismatch means the bytes were damaged on the way; read and send the chunk again
+    for (let attempt = 0; attempt <= MAX_CHECKSUM_RETRIES; attempt++) {
+      try {
+        const { start, end } = getChunkRange(upload, chunkIndex);
+        const wantsChecksum = checksumsEnabled() && transport.supportsChunkChecksums;
+        const prepared = await chunkWorkerClient.prepareChunk(upload.file, start, end, {
+          checksum: wantsChecksum && !upload.encryption
+        });
+        // Only chunks still to be sent are encrypted, and the checksum covers the bytes the server receives
+        const chunk = upload.encryption
+          ? await encryptionService.encryptChunk(upload, prepared.chunk, chunkIndex, { final: end >= upload.filesize })
+          : prepared.chunk;
+        const checksum = upload.encryption && wantsChecksum
+          ? await chunkWorkerClient.hashBlob(chunk)
+          : prepared.checksum;
+
+        if (checksum) {
+          recordChunkChecksum(uploadId, chunkIndex, checksum);
+        }
 
-    const apiClient = createApiClient();
-    try {
-      await withRetry(() =>
-        apiClient.post(`/${uploadId}/chunk`, formData, {
-          headers: { 'Content-Type': 'multipart/form-data' },
-          timeout: 60000
-        })
-      );
-      return true;
-    } catch (error) {
-      updateUpload(uploadId, {
-        lastError: `Chunk ${chunkIndex} failed: ${error?.message || 'unknown error'}`,
-        lastErrorAt: new Date().toISOString()
-      });
-      return false;
+        const chunkBytes = end - start;
+        let lastProgressAt = 0;
+        const onUploadProgress = (event) => {
+          const now = Date.now();
+          // Progress events fire many times a second; the bar doesn't need every one
+          if (now - lastProgressAt < PROGRESS_THROTTLE_MS) return;
+          lastProgressAt = now;
+          // Multipart framing is counted in event.loaded, so cap at the chunk's own size
+          setChunkBytes(uploadId, chunkIndex, Math.min(event.loaded, chunkBytes));
+        };
+
+        // Timed per attempt so a retried chunk doesn't count its backoff as transfer time
+        let sentAt = Date.now();
+        let requestAttempts = 0;
+        const result = await withUploadRetry(uploadId, 'chunk', async () => {
+          // Retries resend the bytes, so each attempt waits for its own tokens
+          await rateLimiter.acquire(uploadId, chunkBytes, { signal });
+          sentAt = Date.now();
+          requestAttempts++;
+          setChunkBytes(uploadId, chunkIndex, 0);
+          return transport.uploadChunk(getUpload(uploadId), {
+            chunk,
+            chunkIndex,
+            start,
+            end,
+            checksum,
+            onUploadProgress,
+            signal
+          });
+        }, { signal });
+        if (result?.part) {
+          recordChunkPart(uploadId, chunkIndex, result.part);
+        }
+        recordChunkTiming(uploadId, {
+          bytes: chunkBytes,
+          startedAt: sentAt,
+          finishedAt: Date.now()
+        });
+        // A chunk that needed retries points at a flaky link; shrink rather than grow
+        adaptChunkSize(uploadId, { failed: requestAttempts > 1 });
+        return true;
+      } catch (error) {
+        setChunkBytes(uploadId, chunkIndex, 0);
+        // Stopped on purpose; the link is fine and there's no error to show
+        if (isAbortError(error)) return false;
+
+        adaptChunkSize(uploadId, { failed: true });
+
+        if (isChecksumMismatch(error) && attempt < MAX_CHECKSUM_RETRIES) {
+          continue;
+        }
+
+        updateUpload(uploadId, {
+          lastError: `Chunk ${chunkIndex} failed: ${error?.message || 'unknown error'}`,
+          lastErrorAt: new Date().toISOString()
+        });
+        return false;
+      }
     }
+
+    return false;
   },
 
   async pauseUpload(uploadId) {
     const { setUploadStatus, updateUpload } = useUploadStore.getState();
-
+    if (forwardToOwner(uploadId, 'pauseUpload')) return;
+    uploadScheduler.remove(uploadId);
+    // Paused before anything is awaited, so no pool worker takes another chunk while
+    // the server is told
+    setUploadStatus(uploadId, UPLOAD_STATUS.PAUSED);
+    abortUploadRequests(uploadId);
+    // Paused by the user now, so it stays paused when the server comes back
+    updateUpload(uploadId, { pauseReason: null });
+
+    // A cancel while this is in flight stops it too
+    const controller = new AbortController();
+    const { signal } = controller;
+    pauseControllers.set(uploadId, controller);
     try {
-      const apiClient = createApiClient();
-      await withRetry(() => apiClient.post(`/${uploadId}/pause`));
-      setUploadStatus(uploadId, UPLOAD_STATUS.PAUSED);
+      const upload = useUploadStore.getState().getUpload(uploadId);
+      await withUploadRetry(uploadId, 'pause', () => getUploadTransport(upload).pause(upload, { signal }), { signal });
     } catch (error) {
-      setUploadStatus(uploadId, UPLOAD_STATUS.PAUSED);
+      if (isAbortError(error)) return;
       updateUpload(uploadId, {
         lastError: `Pause error: ${error?.message || 'unknown error'}`,
         lastErrorAt: new Date().toISOString()
       });
+    } finally {
+      if (pauseControllers.get(uploadId) === controller) pauseControllers.delete(uploadId);
     }
   },
 
@@ -352,6 +879,7 @@ export const uploadActions = {
     const { getUpload, updateUpload, setUploadStatus, setResuming, getIsResuming } = useUploadStore.getState();
     const u = getUpload(uploadId);
     if (!u) return;
+    if (forwardToOwner(uploadId, 'resumeUpload')) return;
 
     // Check if already resuming to prevent multiple calls
     if (getIsResuming()) return;
@@ -373,7 +901,7 @@ export const uploadActions = {
         const restored = await restoreFileFromIndexedDB(uploadId);
         if (!restored) {
           updateUpload(uploadId, {
-            lastError: 'File not found in storage. Please restart the upload.',
+            lastError: 'File not found in storage. Please reselect the file.',
             lastErrorAt: new Date().toISOString()
           });
           return;
@@ -397,12 +925,18 @@ export const uploadActions = {
         // Continue with resume anyway
       }
 
-      // Resume the upload on the server and start uploading chunks
-      const apiClient = createApiClient();
-      await withRetry(() => apiClient.post(`/${uploadId}/resume`));
-      setUploadStatus(uploadId, UPLOAD_STATUS.UPLOADING);
-      await this.uploadChunks(uploadId);
+      // Resume the upload on the server and wait for a scheduler slot
+      const signal = getUploadSignal(uploadId);
+      await withUploadRetry(
+        uploadId,
+        'resume',
+        () => getUploadTransport(updatedUpload).resume(updatedUpload, { signal }),
+        { signal }
+      );
+      uploadScheduler.enqueue(uploadId);
     } catch (error) {
+      // Paused or canceled again before the server answered
+      if (isAbortError(error)) return;
       updateUpload(uploadId, {
         lastError: `Resume error: ${error?.message || 'unknown error'}`,
         lastErrorAt: new Date().toISOString()
@@ -415,16 +949,169 @@ export const uploadActions = {
     }
   },
 
+  // Reattaches a file the user picked again to an upload that lost its copy
+  async reselectFile(uploadId, file) {
+    const { getUpload, updateUpload } = useUploadStore.getState();
+    const upload = getUpload(uploadId);
+    if (!upload) return;
+
+    // The user picks the original again; lossless stripping gives the same bytes back,
+    // a re-encode only does when the browser encodes the same way it did before. Any
+    // other size can't be that original, so it isn't decoded for nothing.
+    if (upload.imageProcessing && hasUsableFile(file) && file.size === upload.originalSize) {
+      file = (await processImage(file, upload.imageProcessing)).file;
+    }
+
+    // Accepted files may have been renamed; the user picks the file under its own name
+    if (hasUsableFile(file) && file.name !== upload.filename && sanitizeFilename(file.name) === upload.filename) {
+      file = withSanitizedName(file);
+    }
+
+    const mismatch = await getReselectMismatch(upload, file);
+    if (mismatch) {
+      updateUpload(uploadId, {
+        lastError: `Selected file does not match: ${mismatch}`,
+        lastErrorAt: new Date().toISOString(),
+        needsFile: true
+      });
+      throw new Error(mismatch);
+    }
+
+    await attachFileToUpload(uploadId, file);
+    // The owning tab picks the file up from IndexedDB when it resumes
+    if (forwardToOwner(uploadId, 'resumeUpload')) return;
+    if (!upload.fingerprint) {
+      const fingerprint = await getFingerprint(file);
+      if (fingerprint) updateUpload(uploadId, { fingerprint });
+    }
+
+    // Picks up the server's uploadedChunks and continues from there
+    await this.resumeUpload(uploadId);
+  },
+
+  // Unwraps the key of an encrypted upload whose stored key is gone, then resumes it
+  async unlockUpload(uploadId, passphrase) {
+    const { getUpload, updateUpload } = useUploadStore.getState();
+    const upload = getUpload(uploadId);
+    if (!upload?.encryption) return;
+
+    // Throws on a wrong passphrase; the upload stays as it was
+    await encryptionService.unlock(upload, passphrase);
+    updateUpload(uploadId, { needsPassphrase: false, lastError: undefined });
+
+    // The owning tab reads the key from IndexedDB when it resumes
+    if (forwardToOwner(uploadId, 'resumeUpload')) return;
+    await this.resumeUpload(uploadId);
+  },
+
+  // Takes effect on the next chunk request, including ones already waiting for tokens
+  setUploadRateLimit(uploadId, rateLimit) {
+    if (forwardToOwner(uploadId, 'setUploadRateLimit', rateLimit)) return;
+    useUploadStore.getState().updateUpload(uploadId, { rateLimit: rateLimit || null });
+  },
+
+  // Only before the upload starts; the server keeps metadata with the upload
+  async updateUploadMetadata(uploadId, metadata) {
+    const { getUpload, updateUpload } = useUploadStore.getState();
+    const upload = getUpload(uploadId);
+    if (!upload) return;
+    if (forwardToOwner(uploadId, 'updateUploadMetadata', metadata)) return;
+
+    if (upload.status !== UPLOAD_STATUS.PENDING) {
+      throw new Error('Metadata can only be changed before the upload starts');
+    }
+    const transport = getUploadTransport(upload);
+    if (!transport.supportsMetadataUpdate) {
+      throw new Error(`Metadata of ${transport.name} uploads can't be changed after they are created`);
+    }
+
+    const normalized = normalizeMetadata(metadata);
+    const signal = getUploadSignal(uploadId);
+    await withUploadRetry(
+      uploadId,
+      'metadata',
+      () => transport.updateMetadata(upload, normalized, { signal }),
+      { signal }
+    );
+    updateUpload(uploadId, { metadata: normalized });
+  },
+
+  setGlobalRateLimit(rateLimit) {
+    useUploadStore.getState().updateSettings({ rateLimit: rateLimit || null });
+  },
+
+  // Circuit opened: stop every running and queued upload at once instead of
+  // letting each one spend its retries against a server that isn't there
+  suspendForOutage() {
+    const { getUploads, getQueue, setUploadStatus, updateUpload, updateUIState } = useUploadStore.getState();
+    updateUIState({ isServerUnavailable: true });
+
+    const queue = getQueue();
+    // Every tab sees the outage; each one pauses only what it drives
+    const affected = getUploads()
+      .filter(u => u.status === UPLOAD_STATUS.UPLOADING || u.status === UPLOAD_STATUS.QUEUED)
+      .filter(u => !tabCoordinator.isOwnedElsewhere(u.uploadId))
+      // Running uploads first, then the queue in order, so they come back the same way
+      .sort((a, b) => queue.indexOf(a.uploadId) - queue.indexOf(b.uploadId));
+
+    affected.forEach((u, index) => {
+      uploadScheduler.remove(u.uploadId);
+      abortUploadRequests(u.uploadId);
+      setUploadStatus(u.uploadId, UPLOAD_STATUS.PAUSED);
+      updateUpload(u.uploadId, {
+        pauseReason: PAUSE_REASONS.SERVER_UNAVAILABLE,
+        outageOrder: index,
+        lastError: 'Server unavailable. Uploads will resume automatically when it is back.',
+        lastErrorAt: new Date().toISOString()
+      });
+    });
+  },
+
+  resumeAfterOutage() {
+    const { getUploads, updateUpload, updateUIState } = useUploadStore.getState();
+    updateUIState({ isServerUnavailable: false });
+
+    getUploads()
+      .filter(u => u.status === UPLOAD_STATUS.PAUSED && u.pauseReason === PAUSE_REASONS.SERVER_UNAVAILABLE)
+      .filter(u => !tabCoordinator.isOwnedElsewhere(u.uploadId))
+      .sort((a, b) => (a.outageOrder ?? 0) - (b.outageOrder ?? 0))
+      .forEach(u => {
+        updateUpload(u.uploadId, { pauseReason: null, outageOrder: undefined, lastError: undefined });
+        uploadScheduler.enqueue(u.uploadId);
+      });
+  },
+
+  // Stops the upload for good but keeps it in the history; removeUpload drops it entirely
   async cancelUpload(uploadId) {
-    const { removeUpload, setError } = useUploadStore.getState();
+    const { getUpload, setUploadStatus, updateUpload, setError } = useUploadStore.getState();
+    const upload = getUpload(uploadId);
+    if (forwardToOwner(uploadId, 'cancelUpload')) return;
+    uploadScheduler.remove(uploadId);
+    abortUploadRequests(uploadId);
+    rateLimiter.release(uploadId);
+
+    const markCanceled = () => {
+      setUploadStatus(uploadId, UPLOAD_STATUS.CANCELED);
+      updateUpload(uploadId, { file: null, needsFile: false, pauseReason: null });
+      useInFlightStore.getState().clearUpload(uploadId);
+      // Can't be resumed, so the stored copy is no longer needed
+      indexedDBService.deleteFile(uploadId).catch(error => {
+        console.error('Failed to delete file from IndexedDB:', error);
+      });
+    };
 
     try {
-      const apiClient = createApiClient();
-      await withRetry(() => apiClient.delete(`/${uploadId}`));
-      removeUpload(uploadId);
+      if (!uploadId.startsWith('temp_')) {
+        await withRetry(() => getUploadTransport(upload).terminate(upload || { uploadId }), getRetryPolicy('terminate'));
+      }
+      markCanceled();
     } catch (error) {
       setError(error.message);
-      removeUpload(uploadId);
+      markCanceled();
+      updateUpload(uploadId, {
+        lastError: `Failed to cancel on the server: ${error?.message || 'unknown error'}`,
+        lastErrorAt: new Date().toISOString()
+      });
       throw error;
     }
   },
@@ -433,11 +1120,15 @@ export const uploadActions = {
     const { getUpload, removeUpload } = useUploadStore.getState();
     const upload = getUpload(uploadId);
     if (!upload) return;
+    if (forwardToOwner(uploadId, 'removeUpload')) return;
+    uploadScheduler.remove(uploadId);
+    abortUploadRequests(uploadId);
+    rateLimiter.release(uploadId);
 
     try {
-      if (!uploadId.startsWith('temp_') && upload.status !== UPLOAD_STATUS.COMPLETED) {
-        const apiClient = createApiClient();
-        await withRetry(() => apiClient.delete(`/${uploadId}`));
+      // Completed uploads are kept and canceled ones were already terminated
+      if (!uploadId.startsWith('temp_') && ![UPLOAD_STATUS.COMPLETED, UPLOAD_STATUS.CANCELED].includes(upload.status)) {
+        await withRetry(() => getUploadTransport(upload).terminate(upload), getRetryPolicy('terminate'));
       }
       removeUpload(uploadId);
     } catch (error) {
@@ -446,15 +1137,19 @@ export const uploadActions = {
   },
 
   async refreshStatus(uploadId) {
-    const apiClient = createApiClient();
-    const { getUpload, updateProgress, setUploadStatus } = useUploadStore.getState();
+    const { getUpload, setUploadStatus } = useUploadStore.getState();
     const upload = getUpload(uploadId);
     if (!upload) return;
 
-    const res = await withRetry(() => apiClient.get(`/${uploadId}/status`));
-    const server = res.data;
+    const signal = getUploadSignal(uploadId);
+    const server = await withUploadRetry(
+      uploadId,
+      'status',
+      () => getUploadTransport(upload).getStatus(upload, { signal }),
+      { signal }
+    );
 
-    updateProgress(uploadId, server.uploadedChunks || [], upload.chunkSize, upload.filesize);
+    applyServerProgress(uploadId, server);
 
     if (server.status === 'completed') {
       setUploadStatus(uploadId, UPLOAD_STATUS.COMPLETED);
@@ -463,72 +1158,104 @@ export const uploadActions = {
     }
   },
 
+  // The tab that drove this upload closed and its lock passed to this tab
+  async takeOverUpload(uploadId) {
+    const { getUpload } = useUploadStore.getState();
+    const upload = getUpload(uploadId);
+    if (!upload || FINISHED_STATUSES.includes(upload.status)) {
+      tabCoordinator.release(uploadId);
+      return;
+    }
+
+    if ([UPLOAD_STATUS.UPLOADING, UPLOAD_STATUS.QUEUED].includes(upload.status)) {
+      // Restores the file from IndexedDB; the chunk loop reconciles with the server first
+      await this.startUpload(uploadId);
+    }
+  },
+
   async initAfterRehydrate({ autoResumeOnReload = true } = {}) {
-    const { getUploads, setUploadStatus, updateUpload, setResuming } = useUploadStore.getState();
+    const { getUploads, getQueue, setUploadStatus, updateUpload, dequeueUpload } = useUploadStore.getState();
     const uploads = getUploads();
+    const resumableStatuses = [UPLOAD_STATUS.PENDING, UPLOAD_STATUS.QUEUED, UPLOAD_STATUS.PAUSED, UPLOAD_STATUS.UPLOADING];
 
-    for (const u of uploads) {
+    // Reconcile every upload with the server in parallel; the scheduler decides what runs
+    const results = await Promise.all(uploads.map(async (u) => {
       try {
+        // Another open tab already drives it; that tab's state arrives through the mirror
+        if (resumableStatuses.includes(u.status) && !(await tabCoordinator.claim(u.uploadId))) {
+          dequeueUpload(u.uploadId);
+          return null;
+        }
+
         // Reconcile with server first
         await reconcileFromServer(u.uploadId);
 
         const refreshed = useUploadStore.getState().getUpload(u.uploadId);
-        if (!refreshed) continue;
+        if (!refreshed) return null;
+
+        if (!resumableStatuses.includes(refreshed.status)) {
+          dequeueUpload(refreshed.uploadId);
+          return null;
+        }
 
         // Check if file needs to be restored from IndexedDB
-        if (
-          [UPLOAD_STATUS.PENDING, UPLOAD_STATUS.PAUSED, UPLOAD_STATUS.UPLOADING].includes(refreshed.status) &&
-          (!refreshed.file || typeof refreshed.file.slice !== 'function')
-        ) {
+        if (!refreshed.file || typeof refreshed.file.slice !== 'function') {
           const fileRestored = await restoreFileFromIndexedDB(refreshed.uploadId);
           if (!fileRestored) {
             updateUpload(refreshed.uploadId, {
-              lastError: 'File not found in storage. Please restart the upload.',
+              lastError: 'File not found in storage. Please reselect the file.',
               lastErrorAt: new Date().toISOString()
             });
-            setUploadStatus(refreshed.uploadId, UPLOAD_STATUS.FAILED);
-            continue;
+            // Keep it resumable; the user can reattach the file from the upload card
+            dequeueUpload(refreshed.uploadId);
+            setUploadStatus(refreshed.uploadId, UPLOAD_STATUS.PAUSED);
+            return null;
           }
-          
+
           const updatedUpload = useUploadStore.getState().getUpload(refreshed.uploadId);
           if (!updatedUpload || !updatedUpload.file) {
             updateUpload(refreshed.uploadId, {
-              lastError: 'Failed to restore file. Please restart the upload.',
-              lastErrorAt: new Date().toISOString()
-            });
-            setUploadStatus(refreshed.uploadId, UPLOAD_STATUS.FAILED);
-            continue;
-          }
-        }
-
-        // Auto-resume if enabled and online
-        if (
-          autoResumeOnReload &&
-          [UPLOAD_STATUS.PENDING, UPLOAD_STATUS.PAUSED, UPLOAD_STATUS.UPLOADING].includes(refreshed.status) &&
-          typeof navigator !== 'undefined' &&
-          navigator.onLine
-        ) {
-          // Set resuming state to prevent conflicts
-          setResuming(true);
-          
-          try {
-            setUploadStatus(refreshed.uploadId, UPLOAD_STATUS.UPLOADING);
-            await this.uploadChunks(refreshed.uploadId);
-          } catch (error) {
-            updateUpload(refreshed.uploadId, {
-              lastError: `Auto-resume failed: ${error?.message || 'unknown error'}`,
+              lastError: 'Failed to restore file. Please reselect the file.',
               lastErrorAt: new Date().toISOString()
             });
+            dequeueUpload(refreshed.uploadId);
             setUploadStatus(refreshed.uploadId, UPLOAD_STATUS.PAUSED);
-          } finally {
-            // Always clear resuming state
-            setResuming(false);
+            return null;
           }
         }
+
+        return refreshed;
       } catch (error) {
         // Continue with other uploads even if one fails
         console.error('Error in initAfterRehydrate for upload', u.uploadId, ':', error);
+        return null;
       }
+    }));
+
+    const resumable = results.filter(Boolean);
+
+    if (!autoResumeOnReload || typeof navigator === 'undefined' || !navigator.onLine) {
+      // Nothing is running after a reload, so a queued upload is effectively paused
+      resumable
+        .filter(u => [UPLOAD_STATUS.QUEUED, UPLOAD_STATUS.UPLOADING].includes(u.status))
+        .forEach(u => {
+          dequeueUpload(u.uploadId);
+          setUploadStatus(u.uploadId, UPLOAD_STATUS.PAUSED);
+        });
+      return;
     }
+
+    // Keep the persisted queue order, then everything else oldest first
+    const queue = getQueue();
+    const queuePosition = (uploadId) => {
+      const index = queue.indexOf(uploadId);
+      return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+    };
+    resumable
+      .sort((a, b) =>
+        queuePosition(a.uploadId) - queuePosition(b.uploadId) ||
+        new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime()
+      )
+      .forEach(u => uploadScheduler.enqueue(u.uploadId));
   }
 };
\ No newline at end of file
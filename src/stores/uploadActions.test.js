@@ -0,0 +1,264 @@
+import axios from 'axios';
+import { uploadActions } from './uploadActions';
+import { useUploadStore } from './uploadStore';
+
+jest.mock('../services/indexedDBService', () => ({
+  indexedDBService: {
+    init: async () => {},
+    storeFile: async () => {},
+    getFile: async () => null,
+    getFilesByFingerprint: async () => [],
+    storeKey: async () => {},
+    getKey: async () => null,
+    deleteFile: async () => {},
+    getAllFiles: async () => [],
+    clearAllFiles: async () => {},
+    cleanupOldFiles: async () => {}
+  }
+}));
+
+// jsdom has no Web Crypto; a digest of the chunk's size and first byte is enough to tell chunks apart
+jest.mock('../services/checksumService', () => {
+  const actual = jest.requireActual('../services/checksumService');
+  return {
+    ...actual,
+    isChecksumSupported: () => true,
+    sha256Hex: async (data) => {
+      const bytes = new Uint8Array(await new Response(data).arrayBuffer());
+      return `sha-${bytes.length}-${bytes[0]}`;
+    },
+    compositeChecksum: async (digests) => digests.join('|')
+  };
+});
+
+// A fake upload server behind axios. Handlers get the request config and return the
+// response body, or throw; chunk requests are counted while they are in flight.
+let handlers;
+let requests;
+let activeChunks;
+let maxActiveChunks;
+
+const httpError = (config, status, data = {}) =>
+  Object.assign(new Error(`Request failed with status ${status}`), { config, response: { status, data, headers: {} } });
+
+const canceledError = () => Object.assign(new Error('canceled'), { name: 'CanceledError', code: 'ERR_CANCELED' });
+
+axios.defaults.adapter = async (config) => {
+  const path = config.url.replace(config.baseURL || '', '');
+  const route = `${config.method.toUpperCase()} ${path.replace(/^\/[^/]+/, '/:id')}`;
+  requests.push({ route, config });
+
+  const handler = handlers[route] || (() => ({}));
+  const isChunk = route === 'POST /:id/chunk';
+  if (isChunk) maxActiveChunks = Math.max(maxActiveChunks, ++activeChunks);
+  try {
+    const data = await handler(config);
+    return { data, status: 200, statusText: 'OK', headers: {}, config };
+  } finally {
+    if (isChunk) activeChunks--;
+  }
+};
+
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rejects once the request is aborted, the way axios ends a request canceled through its signal
+const untilAborted = (config) => new Promise((resolve, reject) => {
+  config.signal?.addEventListener('abort', () => reject(canceledError()), { once: true });
+});
+
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 200 && !condition(); attempt++) await tick(5);
+  expect(condition()).toBe(true);
+};
+
+const chunkRequests = () => requests.filter(({ route }) => route === 'POST /:id/chunk');
+const chunkIndexes = () => chunkRequests().map(({ config }) => Number(config.data.get('chunkIndex')));
+const getUpload = () => useUploadStore.getState().getUpload('u1');
+
+const addUploadingUpload = (overrides = {}) => {
+  const filesize = 10;
+  useUploadStore.getState().addUpload({
+    uploadId: 'u1',
+    file: new File([Uint8Array.from({ length: filesize }, (_, i) => i)], 'data.bin', { type: 'application/octet-stream' }),
+    filename: 'data.bin',
+    filetype: 'application/octet-stream',
+    filesize,
+    chunkSize: 2,
+    totalChunks: 5,
+    concurrency: 2,
+    status: 'uploading',
+    ...overrides
+  });
+};
+
+beforeEach(() => {
+  handlers = {
+    'GET /:id/status': () => ({ uploadedChunks: [], status: 'uploading' }),
+    'POST /:id/chunk': () => tick(5).then(() => ({}))
+  };
+  requests = [];
+  activeChunks = 0;
+  maxActiveChunks = 0;
+  useUploadStore.setState({ uploads: {} });
+});
+
+describe('uploadChunks', () => {
+  test('sends every chunk through a pool of the configured size, then completes', async () => {
+    addUploadingUpload();
+    await uploadActions.uploadChunks('u1');
+
+    expect(chunkIndexes().sort()).toEqual([0, 1, 2, 3, 4]);
+    expect(maxActiveChunks).toBe(2);
+    expect(requests[requests.length - 1].route).toBe('POST /:id/complete');
+    expect(getUpload().status).toBe('completed');
+    expect(getUpload().uploadedChunks).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  test('never opens more workers than there are chunks left', async () => {
+    handlers['GET /:id/status'] = () => ({ uploadedChunks: [0, 1, 2, 3], status: 'uploading' });
+    addUploadingUpload({ concurrency: 4 });
+    await uploadActions.uploadChunks('u1');
+
+    expect(chunkIndexes()).toEqual([4]);
+    expect(getUpload().status).toBe('completed');
+  });
+
+  test('sends chunks one after another with a pool of one', async () => {
+    addUploadingUpload({ concurrency: 1 });
+    await uploadActions.uploadChunks('u1');
+
+    expect(chunkIndexes()).toEqual([0, 1, 2, 3, 4]);
+    expect(maxActiveChunks).toBe(1);
+  });
+
+  test('stops the whole pool when a chunk fails for good', async () => {
+    handlers['POST /:id/chunk'] = (config) => {
+      if (config.data.get('chunkIndex') === '1') throw httpError(config, 400);
+      return tick(5).then(() => ({}));
+    };
+    addUploadingUpload();
+    await uploadActions.uploadChunks('u1');
+
+    expect(getUpload().status).toBe('paused');
+    expect(getUpload().lastError).toMatch(/Chunk 1 failed/);
+    expect(requests.some(({ route }) => route === 'POST /:id/complete')).toBe(false);
+    // The other worker finishes its chunk but takes no new one
+    expect(chunkIndexes().length).toBeLessThan(5);
+  });
+});
+
+describe('checksum mismatches', () => {
+  const mismatch = (config, chunks) => httpError(config, 422, { code: 'CHECKSUM_MISMATCH', chunks });
+
+  test('a chunk the server rejects is read and sent again', async () => {
+    let rejected = false;
+    handlers['POST /:id/chunk'] = (config) => {
+      if (config.data.get('chunkIndex') === '3' && !rejected) {
+        rejected = true;
+        throw mismatch(config);
+      }
+      return {};
+    };
+    addUploadingUpload();
+    await uploadActions.uploadChunks('u1');
+
+    expect(chunkIndexes().filter(index => index === 3)).toHaveLength(2);
+    expect(chunkRequests().every(({ config }) => config.data.get('checksum'))).toBe(true);
+    expect(getUpload().status).toBe('completed');
+  });
+
+  test('chunks the file checksum flags on complete are sent again', async () => {
+    let completes = 0;
+    handlers['POST /:id/complete'] = (config) => {
+      if (completes++ === 0) throw mismatch(config, [1, 4]);
+      return {};
+    };
+    // The server dropped the damaged chunks
+    handlers['GET /:id/status'] = () => ({ uploadedChunks: completes ? [0, 2, 3] : [], status: 'uploading' });
+    addUploadingUpload();
+    await uploadActions.uploadChunks('u1');
+
+    expect(chunkIndexes().sort()).toEqual([0, 1, 1, 2, 3, 4, 4]);
+    expect(completes).toBe(2);
+    const complete = requests.filter(({ route }) => route === 'POST /:id/complete').pop();
+    expect(JSON.parse(complete.config.data)).toMatchObject({
+      checksum: 'sha-2-0|sha-2-2|sha-2-4|sha-2-6|sha-2-8',
+      checksumType: 'composite'
+    });
+    expect(getUpload().status).toBe('completed');
+    expect(getUpload().integrityRetries).toBe(1);
+    expect(getUpload().lastError).toBeFalsy();
+  });
+
+  test('fails once the same chunks keep coming back damaged', async () => {
+    handlers['POST /:id/complete'] = (config) => { throw mismatch(config, [0]); };
+    addUploadingUpload();
+    await uploadActions.uploadChunks('u1');
+
+    expect(chunkIndexes().filter(index => index === 0)).toHaveLength(4);
+    expect(getUpload().status).toBe('failed');
+  });
+});
+
+describe('pause and cancel', () => {
+  test('pausing aborts the chunks in flight and never completes', async () => {
+    handlers['POST /:id/chunk'] = untilAborted;
+    addUploadingUpload();
+    const uploading = uploadActions.uploadChunks('u1');
+    await waitFor(() => chunkRequests().length === 2);
+
+    await uploadActions.pauseUpload('u1');
+    await uploading;
+
+    expect(chunkRequests().every(({ config }) => config.signal.aborted)).toBe(true);
+    expect(requests.some(({ route }) => route === 'POST /:id/pause')).toBe(true);
+    expect(requests.some(({ route }) => route === 'POST /:id/complete')).toBe(false);
+    expect(getUpload().status).toBe('paused');
+    expect(getUpload().lastError).toBeFalsy();
+  });
+
+  test('no chunk goes out while the server is told about the pause', async () => {
+    handlers['POST /:id/pause'] = () => tick(50).then(() => ({}));
+    addUploadingUpload({ concurrency: 1 });
+    const uploading = uploadActions.uploadChunks('u1');
+    await waitFor(() => getUpload().uploadedChunks.length === 1);
+
+    const pausing = uploadActions.pauseUpload('u1');
+    expect(getUpload().status).toBe('paused');
+    await Promise.all([pausing, uploading]);
+
+    expect(chunkIndexes().length).toBeLessThanOrEqual(2);
+    expect(requests.some(({ route }) => route === 'POST /:id/complete')).toBe(false);
+    expect(getUpload().status).toBe('paused');
+  });
+
+  test('canceling aborts the chunks in flight and tells the server', async () => {
+    handlers['POST /:id/chunk'] = untilAborted;
+    addUploadingUpload();
+    const uploading = uploadActions.uploadChunks('u1');
+    await waitFor(() => chunkRequests().length === 2);
+
+    await uploadActions.cancelUpload('u1');
+    await uploading;
+
+    expect(chunkRequests().every(({ config }) => config.signal.aborted)).toBe(true);
+    expect(requests.some(({ route }) => route === 'DELETE /:id')).toBe(true);
+    expect(requests.some(({ route }) => route === 'POST /:id/complete')).toBe(false);
+    expect(getUpload().status).toBe('canceled');
+  });
+
+  test('canceling stops a pause request still in flight', async () => {
+    handlers['POST /:id/pause'] = untilAborted;
+    addUploadingUpload();
+    const pausing = uploadActions.pauseUpload('u1');
+    await waitFor(() => requests.some(({ route }) => route === 'POST /:id/pause'));
+
+    await uploadActions.cancelUpload('u1');
+    await pausing;
+
+    const pause = requests.find(({ route }) => route === 'POST /:id/pause');
+    expect(pause.config.signal.aborted).toBe(true);
+    expect(getUpload().status).toBe('canceled');
+    expect(getUpload().lastError).toBeFalsy();
+  });
+});
\ No newline at end of file
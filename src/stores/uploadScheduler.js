@@ -0,0 +1,84 @@
+import { useUploadStore } from './uploadStore';
+import { UPLOAD_STATUS } from './uploadTypes';
+import { uploadActions } from './uploadActions';
+import { getUploadConfig } from '../config/uploadConfig';
+import { circuitBreaker } from '../services/circuitBreaker';
+
+// Uploads whose chunk loop was started by the scheduler and hasn't returned yet
+const running = new Set();
+
+const isOnline = () => {
+  const { isOffline } = useUploadStore.getState().getUIState();
+  return !isOffline && (typeof navigator === 'undefined' || navigator.onLine);
+};
+
+export const uploadScheduler = {
+  enqueue(uploadId, { priority = false } = {}) {
+    const { getUpload, enqueueUpload, setUploadStatus } = useUploadStore.getState();
+    const upload = getUpload(uploadId);
+    if (!upload) return;
+
+    // Already driving this upload; queueing it again would stop its own loop
+    if (running.has(uploadId) && upload.status === UPLOAD_STATUS.UPLOADING) return;
+
+    enqueueUpload(uploadId, { front: priority });
+    setUploadStatus(uploadId, UPLOAD_STATUS.QUEUED);
+    this.pump();
+  },
+
+  remove(uploadId) {
+    useUploadStore.getState().dequeueUpload(uploadId);
+  },
+
+  moveUp(uploadId) {
+    const { getQueuePosition, moveInQueue } = useUploadStore.getState();
+    const position = getQueuePosition(uploadId);
+    if (position) moveInQueue(uploadId, position - 2);
+  },
+
+  moveDown(uploadId) {
+    const { getQueuePosition, moveInQueue } = useUploadStore.getState();
+    const position = getQueuePosition(uploadId);
+    if (position) moveInQueue(uploadId, position);
+  },
+
+  bumpPriority(uploadId) {
+    useUploadStore.getState().moveInQueue(uploadId, 0);
+  },
+
+  getRunningCount() {
+    return running.size;
+  },
+
+  isRunning(uploadId) {
+    return running.has(uploadId);
+  },
+
+  pump() {
+    // Nothing starts while the API is down; the breaker re-queues uploads when it closes
+    if (!isOnline() || circuitBreaker.isOpen()) return;
+
+    const { maxConcurrentUploads } = getUploadConfig();
+
+    while (running.size < maxConcurrentUploads) {
+      const { queue, getUpload, dequeueUpload } = useUploadStore.getState();
+      // A paused upload may still be draining its last chunks; leave it queued until it returns
+      const nextId = queue.find(id => !running.has(id));
+      if (!nextId) return;
+
+      dequeueUpload(nextId);
+      const next = getUpload(nextId);
+      if (!next || next.status !== UPLOAD_STATUS.QUEUED) continue;
+
+      running.add(nextId);
+      uploadActions
+        .runUpload(nextId)
+        .finally(() => {
+          running.delete(nextId);
+          this.pump();
+        });
+    }
+  }
+};
+
+export default uploadScheduler;
\ No newline at end of file
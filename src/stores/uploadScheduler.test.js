@@ -0,0 +1,106 @@
+import { uploadScheduler } from './uploadScheduler';
+import { uploadActions } from './uploadActions';
+import { useUploadStore } from './uploadStore';
+import { configureUploads, resetUploadConfig } from '../config/uploadConfig';
+
+jest.mock('./uploadActions', () => ({
+  uploadActions: { runUpload: jest.fn() }
+}));
+
+jest.mock('../services/indexedDBService', () => ({
+  indexedDBService: {
+    storeFile: async () => {},
+    deleteFile: async () => {}
+  }
+}));
+
+// Each started upload runs until the test finishes it
+let finishers;
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const finish = async (uploadId) => {
+  useUploadStore.getState().setUploadStatus(uploadId, 'completed');
+  finishers[uploadId]();
+  await flush();
+};
+
+const addQueued = (...uploadIds) => uploadIds.forEach(uploadId => {
+  useUploadStore.getState().addUpload({ uploadId, filename: `${uploadId}.bin`, filesize: 1, status: 'pending' });
+});
+
+const started = () => uploadActions.runUpload.mock.calls.map(([uploadId]) => uploadId);
+const getQueue = () => useUploadStore.getState().queue;
+
+beforeEach(() => {
+  finishers = {};
+  uploadActions.runUpload.mockReset();
+  uploadActions.runUpload.mockImplementation((uploadId) => {
+    useUploadStore.getState().setUploadStatus(uploadId, 'uploading');
+    return new Promise(resolve => { finishers[uploadId] = resolve; });
+  });
+  useUploadStore.setState({ uploads: {}, queue: [] });
+  configureUploads({ maxConcurrentUploads: 2 });
+});
+
+afterEach(async () => {
+  // Emptied first, so finishing the running uploads starts nothing new
+  useUploadStore.setState({ queue: [] });
+  Object.values(finishers).forEach(resolve => resolve());
+  await flush();
+  resetUploadConfig();
+});
+
+describe('uploadScheduler', () => {
+  test('runs up to maxConcurrentUploads at once and queues the rest', async () => {
+    addQueued('a', 'b', 'c', 'd');
+    ['a', 'b', 'c', 'd'].forEach(id => uploadScheduler.enqueue(id));
+
+    expect(started()).toEqual(['a', 'b']);
+    expect(getQueue()).toEqual(['c', 'd']);
+    expect(useUploadStore.getState().getUpload('c').status).toBe('queued');
+
+    await finish('a');
+    expect(started()).toEqual(['a', 'b', 'c']);
+    expect(getQueue()).toEqual(['d']);
+  });
+
+  test('priority uploads go to the front of the queue', () => {
+    addQueued('a', 'b', 'c', 'd');
+    ['a', 'b', 'c'].forEach(id => uploadScheduler.enqueue(id));
+    uploadScheduler.enqueue('d', { priority: true });
+
+    expect(getQueue()).toEqual(['d', 'c']);
+  });
+
+  test('queued uploads can be reordered', () => {
+    addQueued('a', 'b', 'c', 'd', 'e');
+    ['a', 'b', 'c', 'd', 'e'].forEach(id => uploadScheduler.enqueue(id));
+
+    uploadScheduler.moveUp('e');
+    expect(getQueue()).toEqual(['c', 'e', 'd']);
+    uploadScheduler.moveDown('c');
+    expect(getQueue()).toEqual(['e', 'c', 'd']);
+    uploadScheduler.bumpPriority('d');
+    expect(getQueue()).toEqual(['d', 'e', 'c']);
+  });
+
+  test('an upload removed from the queue never starts', async () => {
+    addQueued('a', 'b', 'c');
+    ['a', 'b', 'c'].forEach(id => uploadScheduler.enqueue(id));
+    uploadScheduler.remove('c');
+
+    await finish('a');
+    expect(started()).toEqual(['a', 'b']);
+    expect(uploadScheduler.getRunningCount()).toBe(1);
+  });
+
+  test('enqueueing a running upload again leaves it running', () => {
+    addQueued('a');
+    uploadScheduler.enqueue('a');
+    uploadScheduler.enqueue('a');
+
+    expect(started()).toEqual(['a']);
+    expect(getQueue()).toEqual([]);
+    expect(useUploadStore.getState().getUpload('a').status).toBe('uploading');
+  });
+});
\ No newline at end of file
@@ -1,11 +1,62 @@
 import { create } from 'zustand';
 import { devtools, persist } from 'zustand/middleware';
-import { UPLOAD_STATUS, UPLOAD_ACTIONS } from './uploadTypes';
+import { FINISHED_STATUSES, UPLOAD_STATUS, UPLOAD_ACTIONS } from './uploadTypes';
+import { useInFlightStore } from './inFlightStore';
 import { indexedDBService } from '../services/indexedDBService';
+import {
+  addChunkTiming,
+  addThroughputSample,
+  calculateThroughput,
+  smoothThroughput
+} from '../utils/throughput';
+import { calculateUploadedBytes, getNextChunkIndex, getPlannedBytes } from '../utils/chunks';
+import { getUploadConfig } from '../config/uploadConfig';
+
+// Tracks active upload time across pauses for elapsed/duration readouts
+const withStatusTiming = (upload, status, now = Date.now()) => {
+  const timing = {};
+  const wasUploading = upload.status === UPLOAD_STATUS.UPLOADING && upload.uploadingSince;
+
+  if (status === UPLOAD_STATUS.UPLOADING && !wasUploading) {
+    timing.uploadingSince = now;
+    timing.startedAt = upload.startedAt || new Date(now).toISOString();
+  } else if (status !== UPLOAD_STATUS.UPLOADING && wasUploading) {
+    timing.elapsedMs = (upload.elapsedMs || 0) + (now - upload.uploadingSince);
+    timing.uploadingSince = null;
+  }
+
+  if (status === UPLOAD_STATUS.COMPLETED && !upload.completedAt) {
+    timing.completedAt = new Date(now).toISOString();
+  }
+
+  // When it entered the history, whatever the outcome
+  if (FINISHED_STATUSES.includes(status) && !FINISHED_STATUSES.includes(upload.status)) {
+    timing.finishedAt = new Date(now).toISOString();
+  }
+
+  return { ...upload, ...timing, status };
+};
+
+const MAX_ERROR_HISTORY = 20;
+
+// lastError only holds the latest message; the history view lists every distinct one
+const withErrorHistory = (upload, updates) => {
+  if (!updates.lastError || updates.lastError === upload.lastError) return updates;
+
+  const entry = { message: updates.lastError, at: updates.lastErrorAt || new Date().toISOString() };
+  return { ...updates, errorHistory: [...(upload.errorHistory || []), entry].slice(-MAX_ERROR_HISTORY) };
+};
 
 // Initial state for persistent data
 const initialPersistentState = {
-  uploads: {}
+  uploads: {},
+  // Upload ids waiting for a scheduler slot, in the order they will start
+  queue: [],
+  // User-adjustable preferences that apply to every upload
+  settings: {
+    // Bytes per second shared by all uploads; null means unlimited
+    rateLimit: getUploadConfig().defaultRateLimit
+  }
 };
 
 // Initial state for transient UI state
@@ -14,7 +65,9 @@ const initialUIState = {
   error: null,
   isOffline: typeof navigator !== 'undefined' ? !navigator.onLine : false,
   isResuming: false,
-  dragOver: false
+  dragOver: false,
+  // Set while the circuit breaker is open
+  isServerUnavailable: false
 };
 
 export const useUploadStore = create(
@@ -34,24 +87,31 @@ export const useUploadStore = create(
           Object.values(get().uploads).filter(upload => upload.status === status),
         getActiveUploads: () =>
           Object.values(get().uploads).filter(upload =>
-            [UPLOAD_STATUS.UPLOADING, UPLOAD_STATUS.PENDING, UPLOAD_STATUS.PAUSED].includes(upload.status)
+            [UPLOAD_STATUS.UPLOADING, UPLOAD_STATUS.QUEUED, UPLOAD_STATUS.PENDING, UPLOAD_STATUS.PAUSED].includes(upload.status)
           ),
+        getQueue: () => get().queue,
+        getQueuePosition: (uploadId) => {
+          const index = get().queue.indexOf(uploadId);
+          return index === -1 ? null : index + 1;
+        },
         
         getUIState: () => get().ui,
+        getSettings: () => get().settings,
         getIsResuming: () => get().ui.isResuming,
         getDragOver: () => get().ui.dragOver,
 
+        // Requests aborted by a cancel can still report back; don't bring the upload back
         updateUpload: (uploadId, updates) =>
-          set(state => ({
+          set(state => state.uploads[uploadId] ? {
             uploads: {
               ...state.uploads,
-              [uploadId]: { ...state.uploads[uploadId], ...updates }
+              [uploadId]: { ...state.uploads[uploadId], ...withErrorHistory(state.uploads[uploadId], updates) }
             }
-          }), false, { type: UPLOAD_ACTIONS.UPDATE_UPLOAD, uploadId, updates }),
+          } : {}, false, { type: UPLOAD_ACTIONS.UPDATE_UPLOAD, uploadId, updates }),
 
         addUpload: (upload) => {
           if (upload.file && !upload.uploadId.startsWith('temp_')) {
-            indexedDBService.storeFile(upload.uploadId, upload.file).catch(error => {
+            indexedDBService.storeFile(upload.uploadId, upload.file, { fingerprint: upload.fingerprint }).catch(error => {
               console.error('Failed to store file in IndexedDB:', error);
             });
           }
@@ -79,23 +139,57 @@ export const useUploadStore = create(
           indexedDBService.deleteFile(uploadId).catch(error => {
             console.error('Failed to delete file from IndexedDB:', error);
           });
+          useInFlightStore.getState().clearUpload(uploadId);
 
           set(
             (state) => {
               const { [uploadId]: removed, ...remainingUploads } = state.uploads;
-              return { uploads: remainingUploads };
+              return {
+                uploads: remainingUploads,
+                queue: state.queue.filter(id => id !== uploadId)
+              };
             },
             false,
             { type: UPLOAD_ACTIONS.REMOVE_UPLOAD, uploadId }
           );
         },
 
+        // Mirrors an upload driven by another tab. The snapshot never carries the
+        // File, so a copy this tab already holds is kept for a later takeover.
+        applyRemoteUpload: (snapshot) =>
+          set(
+            (state) => ({
+              uploads: {
+                ...state.uploads,
+                [snapshot.uploadId]: { ...state.uploads[snapshot.uploadId], ...snapshot }
+              },
+              // Only the owning tab schedules it
+              queue: state.queue.filter(id => id !== snapshot.uploadId)
+            }),
+            false,
+            { type: UPLOAD_ACTIONS.APPLY_REMOTE_UPLOAD, uploadId: snapshot.uploadId }
+          ),
+
+        // The owning tab already cleaned up IndexedDB
+        applyRemoteRemoval: (uploadId) =>
+          set(
+            (state) => {
+              if (!state.uploads[uploadId]) return {};
+              const { [uploadId]: removed, ...remainingUploads } = state.uploads;
+              return {
+                uploads: remainingUploads,
+                queue: state.queue.filter(id => id !== uploadId)
+              };
+            },
+            false,
+            { type: UPLOAD_ACTIONS.APPLY_REMOTE_REMOVAL, uploadId }
+          ),
+
         updateProgress: (uploadId, uploadedChunks, chunkSize, filesize) => {
-          const actualUploadedBytes = uploadedChunks.reduce((total, chunkIndex) => {
-            const chunkStart = chunkIndex * chunkSize;
-            const chunkEnd = Math.min(chunkStart + chunkSize, filesize);
-            return total + (chunkEnd - chunkStart);
-          }, 0);
+          const actualUploadedBytes = calculateUploadedBytes(
+            { ...get().uploads[uploadId], chunkSize, filesize },
+            uploadedChunks
+          );
 
           const progress = Math.min((actualUploadedBytes / filesize) * 100, 100);
 
@@ -114,15 +208,125 @@ export const useUploadStore = create(
             false,
             { type: UPLOAD_ACTIONS.UPDATE_PROGRESS, uploadId }
           );
+          // Chunks the server already has no longer count as in flight
+          useInFlightStore.getState().clearChunks(uploadId, uploadedChunks);
+        },
+
+        // Chunks can finish out of order when uploaded in parallel, so merge
+        // against the latest state instead of a snapshot taken by the caller
+        markChunkUploaded: (uploadId, chunkIndex) => {
+          useInFlightStore.getState().clearChunks(uploadId, [chunkIndex]);
+          set(
+            (state) => {
+              const upload = state.uploads[uploadId];
+              if (!upload || upload.uploadedChunks.includes(chunkIndex)) {
+                return {};
+              }
+
+              const uploadedChunks = [...upload.uploadedChunks, chunkIndex].sort((a, b) => a - b);
+              const uploadedBytes = calculateUploadedBytes(upload, uploadedChunks);
+
+              return {
+                uploads: {
+                  ...state.uploads,
+                  [uploadId]: {
+                    ...upload,
+                    uploadedChunks,
+                    uploadedBytes,
+                    progress: Math.min((uploadedBytes / upload.filesize) * 100, 100)
+                  }
+                }
+              };
+            },
+            false,
+            { type: UPLOAD_ACTIONS.MARK_CHUNK_UPLOADED, uploadId, chunkIndex }
+          );
+        },
+
+        // What the storage side handed back for a chunk (an S3 part's ETag), replayed on complete
+        recordChunkPart: (uploadId, chunkIndex, part) =>
+          set(
+            (state) => {
+              const upload = state.uploads[uploadId];
+              if (!upload) return {};
+
+              return {
+                uploads: {
+                  ...state.uploads,
+                  [uploadId]: { ...upload, parts: { ...(upload.parts || {}), [chunkIndex]: part } }
+                }
+              };
+            },
+            false,
+            { type: UPLOAD_ACTIONS.RECORD_CHUNK_PART, uploadId, chunkIndex }
+          ),
+
+        // Variable-size uploads carve the next range off the unplanned tail of the
+        // file at the current chunkSize. Returns the new chunk index, or null once
+        // every byte belongs to a chunk.
+        planNextChunk: (uploadId) => {
+          const upload = get().uploads[uploadId];
+          if (!upload) return null;
+
+          const start = getPlannedBytes(upload);
+          if (start >= upload.filesize) return null;
+
+          const chunkIndex = getNextChunkIndex(upload);
+          const end = Math.min(start + upload.chunkSize, upload.filesize);
+
+          set(
+            (state) => ({
+              uploads: {
+                ...state.uploads,
+                [uploadId]: {
+                  ...state.uploads[uploadId],
+                  chunkRanges: { ...(state.uploads[uploadId].chunkRanges || {}), [chunkIndex]: [start, end] },
+                  totalChunks: chunkIndex + 1
+                }
+              }
+            }),
+            false,
+            { type: UPLOAD_ACTIONS.PLAN_CHUNK, uploadId, chunkIndex }
+          );
+
+          return chunkIndex;
         },
 
+        recordChunkTiming: (uploadId, timing) =>
+          set(
+            (state) => {
+              const upload = state.uploads[uploadId];
+              if (!upload) return {};
+
+              const chunkTimings = addChunkTiming(upload.chunkTimings, timing);
+              const throughput = calculateThroughput(chunkTimings, timing.finishedAt);
+
+              return {
+                uploads: {
+                  ...state.uploads,
+                  [uploadId]: {
+                    ...upload,
+                    chunkTimings,
+                    smoothedThroughput: smoothThroughput(upload.smoothedThroughput, throughput),
+                    throughputHistory: addThroughputSample(upload.throughputHistory, {
+                      at: timing.finishedAt,
+                      bytesPerSecond: throughput
+                    })
+                  }
+                }
+              };
+            },
+            false,
+            { type: UPLOAD_ACTIONS.RECORD_CHUNK_TIMING, uploadId }
+          ),
+
         setUploadStatus: (uploadId, status) =>
-          set(state => ({
+          set(state => state.uploads[uploadId] ? {
             uploads: {
               ...state.uploads,
-              [uploadId]: { ...state.uploads[uploadId], status }
+              [uploadId]: withStatusTiming(state.uploads[uploadId], status)
             }
-          }), false, { type: UPLOAD_ACTIONS.SET_STATUS, uploadId, status }),
+          } : {}, false, { type: UPLOAD_ACTIONS.SET_STATUS, uploadId, status }),
 
         clearAllUploads: () => {
           indexedDBService.clearAllFiles().catch(error => {
@@ -130,12 +334,72 @@ export const useUploadStore = create(
           });
 
           set(
-            { uploads: {} },
+            { uploads: {}, queue: [] },
             false,
             { type: UPLOAD_ACTIONS.CLEAR_ALL }
           );
         },
 
+        // Bulk clear for the history view, e.g. every completed upload
+        clearUploadsByStatus: (statuses) => {
+          const cleared = [].concat(statuses).flatMap(status => get().getUploadsByStatus(status));
+          if (cleared.length === 0) return;
+
+          cleared.forEach(({ uploadId }) => {
+            indexedDBService.deleteFile(uploadId).catch(error => {
+              console.error('Failed to delete file from IndexedDB:', error);
+            });
+          });
+
+          const clearedIds = cleared.map(({ uploadId }) => uploadId);
+          set(
+            (state) => ({
+              uploads: Object.fromEntries(
+                Object.entries(state.uploads).filter(([uploadId]) => !clearedIds.includes(uploadId))
+              ),
+              queue: state.queue.filter(id => !clearedIds.includes(id))
+            }),
+            false,
+            { type: UPLOAD_ACTIONS.CLEAR_BY_STATUS, statuses }
+          );
+        },
+
+        enqueueUpload: (uploadId, { front = false } = {}) =>
+          set(
+            (state) => {
+              const rest = state.queue.filter(id => id !== uploadId);
+              return { queue: front ? [uploadId, ...rest] : [...rest, uploadId] };
+            },
+            false,
+            { type: UPLOAD_ACTIONS.ENQUEUE_UPLOAD, uploadId, front }
+          ),
+
+        dequeueUpload: (uploadId) =>
+          set(
+            (state) => ({ queue: state.queue.filter(id => id !== uploadId) }),
+            false,
+            { type: UPLOAD_ACTIONS.DEQUEUE_UPLOAD, uploadId }
+          ),
+
+        moveInQueue: (uploadId, toIndex) =>
+          set(
+            (state) => {
+              if (!state.queue.includes(uploadId)) return {};
+              const rest = state.queue.filter(id => id !== uploadId);
+              const target = Math.max(0, Math.min(toIndex, rest.length));
+              return { queue: [...rest.slice(0, target), uploadId, ...rest.slice(target)] };
+            },
+            false,
+            { type: UPLOAD_ACTIONS.MOVE_IN_QUEUE, uploadId, toIndex }
+          ),
+
+        updateSettings: (updates) =>
+          set(
+            (state) => ({ settings: { ...state.settings, ...updates } }),
+            false,
+            { type: UPLOAD_ACTIONS.UPDATE_SETTINGS, updates }
+          ),
+
         // UI state actions
         updateUIState: (updates) =>
           set(state => ({ ui: { ...state.ui, ...updates } })),
@@ -167,10 +431,8 @@ export const useUploadStore = create(
             Object.values(updated).forEach(u => {
               if (u.status === UPLOAD_STATUS.UPLOADING) {
                 updated[u.uploadId] = {
-                  ...u,
-                  status: UPLOAD_STATUS.PAUSED,
-                  lastError: reason,
-                  lastErrorAt: new Date().toISOString()
+                  ...withStatusTiming(u, UPLOAD_STATUS.PAUSED),
+                  ...withErrorHistory(u, { lastError: reason, lastErrorAt: new Date().toISOString() })
                 };
               }
             });
@@ -178,18 +440,22 @@ export const useUploadStore = create(
           });
         },
 
-        clearStaleUploads: (file) => {
+        clearStaleUploads: (file, fingerprint) => {
           const staleCutoff = Date.now() - (24 * 60 * 60 * 1000);
 
           set(
             (state) => {
               const filteredUploads = Object.fromEntries(
                 Object.entries(state.uploads).filter(([uploadId, upload]) => {
-                  const isSameFile = upload.filename === file.name && upload.filesize === file.size;
+                  // Name and size alone collide too easily; trust the fingerprint when both sides have one
+                  const isSameFile = fingerprint && upload.fingerprint
+                    ? upload.fingerprint === fingerprint
+                    : upload.filename === file.name && upload.filesize === file.size;
                   const isStale = new Date(upload.createdAt).getTime() < staleCutoff;
-                  const isFailedOrCanceled = [UPLOAD_STATUS.FAILED, UPLOAD_STATUS.CANCELED].includes(upload.status);
+                  // Finished attempts stay in the history until the user clears them
+                  const isFinished = FINISHED_STATUSES.includes(upload.status);
 
-                  return !(isSameFile && (isStale || isFailedOrCanceled));
+                  return !(isSameFile && isStale && !isFinished);
                 })
               );
 
@@ -205,13 +471,26 @@ export const useUploadStore = create(
         partialize: (state) => {
           // Only persist uploads data, not UI state
           const safeUploads = {};
+          const now = Date.now();
           for (const [id, u] of Object.entries(state.uploads || {})) {
-            const { file, ...rest } = u;
-            safeUploads[id] = rest;
+            const {
+              file,
+              chunkTimings,
+              uploadingSince,
+              retryAttempt,
+              retryOperation,
+              nextRetryAt,
+              lastRetryError,
+              ...rest
+            } = u;
+            // Fold the running session into elapsedMs; nothing is uploading after a reload
+            safeUploads[id] = uploadingSince
+              ? { ...rest, elapsedMs: (rest.elapsedMs || 0) + (now - uploadingSince) }
+              : rest;
           }
-          return { uploads: safeUploads };
+          return { uploads: safeUploads, queue: state.queue || [], settings: state.settings };
         },
-        version: 5,
+        version: 8,
         migrate: (persistedState, version) => {
           if (persistedState && persistedState.uploads) {
             const cleaned = {};
@@ -221,6 +500,10 @@ export const useUploadStore = create(
               if (version < 4) {
                 cleaned[id].needsFile = false;
               }
+              if (version < 8) {
+                // Everything before pluggable transports spoke the REST protocol
+                cleaned[id].transport = 'rest';
+              }
             }
             persistedState.uploads = cleaned;
           }
@@ -229,6 +512,14 @@ export const useUploadStore = create(
           if (version < 5) {
             persistedState.ui = initialUIState;
           }
+
+          if (version < 6) {
+            persistedState.queue = [];
+          }
+
+          if (version < 7) {
+            persistedState.settings = { ...initialPersistentState.settings };
+          }
           
           return persistedState;
         },
@@ -254,14 +545,25 @@ export const uploadStoreActions = {
   addUpload: useUploadStore.getState().addUpload,
   updateUpload: useUploadStore.getState().updateUpload,
   removeUpload: useUploadStore.getState().removeUpload,
+  applyRemoteUpload: useUploadStore.getState().applyRemoteUpload,
+  applyRemoteRemoval: useUploadStore.getState().applyRemoteRemoval,
   updateProgress: useUploadStore.getState().updateProgress,
+  markChunkUploaded: useUploadStore.getState().markChunkUploaded,
+  recordChunkPart: useUploadStore.getState().recordChunkPart,
+  planNextChunk: useUploadStore.getState().planNextChunk,
+  recordChunkTiming: useUploadStore.getState().recordChunkTiming,
   setUploadStatus: useUploadStore.getState().setUploadStatus,
   clearAllUploads: useUploadStore.getState().clearAllUploads,
+  clearUploadsByStatus: useUploadStore.getState().clearUploadsByStatus,
   clearStaleUploads: useUploadStore.getState().clearStaleUploads,
+  enqueueUpload: useUploadStore.getState().enqueueUpload,
+  dequeueUpload: useUploadStore.getState().dequeueUpload,
+  moveInQueue: useUploadStore.getState().moveInQueue,
   setOffline: useUploadStore.getState().setOffline,
   setOnline: useUploadStore.getState().setOnline,
   markAllUploadingAsPaused: useUploadStore.getState().markAllUploadingAsPaused,
   updateUIState: useUploadStore.getState().updateUIState,
   setResuming: useUploadStore.getState().setResuming,
-  setDragOver: useUploadStore.getState().setDragOver
+  setDragOver: useUploadStore.getState().setDragOver,
+  updateSettings: useUploadStore.getState().updateSettings
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 export const UPLOAD_STATUS = {
   INITIATING: 'initiating',
   PENDING: 'pending',
+  QUEUED: 'queued',
   UPLOADING: 'uploading',
   PAUSED: 'paused',
   COMPLETED: 'completed',
@@ -8,11 +9,30 @@ export const UPLOAD_STATUS = {
   CANCELED: 'canceled'
 };
 
+// Nothing is left to send; these make up the upload history
+export const FINISHED_STATUSES = [UPLOAD_STATUS.COMPLETED, UPLOAD_STATUS.FAILED, UPLOAD_STATUS.CANCELED];
+
+// Why an upload was paused when something other than the user did it
+export const PAUSE_REASONS = {
+  SERVER_UNAVAILABLE: 'server-unavailable'
+};
+
 export const UPLOAD_ACTIONS = {
   ADD_UPLOAD: 'ADD_UPLOAD',
   UPDATE_UPLOAD: 'UPDATE_UPLOAD',
   REMOVE_UPLOAD: 'REMOVE_UPLOAD',
+  APPLY_REMOTE_UPLOAD: 'APPLY_REMOTE_UPLOAD',
+  APPLY_REMOTE_REMOVAL: 'APPLY_REMOTE_REMOVAL',
   UPDATE_PROGRESS: 'UPDATE_PROGRESS',
+  MARK_CHUNK_UPLOADED: 'MARK_CHUNK_UPLOADED',
+  RECORD_CHUNK_PART: 'RECORD_CHUNK_PART',
+  PLAN_CHUNK: 'PLAN_CHUNK',
+  RECORD_CHUNK_TIMING: 'RECORD_CHUNK_TIMING',
   SET_STATUS: 'SET_STATUS',
-  CLEAR_ALL: 'CLEAR_ALL'
+  CLEAR_ALL: 'CLEAR_ALL',
+  CLEAR_BY_STATUS: 'CLEAR_BY_STATUS',
+  ENQUEUE_UPLOAD: 'ENQUEUE_UPLOAD',
+  DEQUEUE_UPLOAD: 'DEQUEUE_UPLOAD',
+  MOVE_IN_QUEUE: 'MOVE_IN_QUEUE',
+  UPDATE_SETTINGS: 'UPDATE_SETTINGS'
 };
\ No newline at end of file
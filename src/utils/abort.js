@@ -0,0 +1,54 @@
+export const createAbortError = () => {
+  const error = new Error('Upload request aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Covers our own aborts as well as axios requests canceled through a signal
+export const isAbortError = (error) =>
+  !!error &&
+  (error.name === 'AbortError' || error.name === 'CanceledError' || error.code === 'ERR_CANCELED');
+
+export const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw createAbortError();
+};
+
+// Like a plain timeout, but rejects as soon as the signal fires
+export const abortableSleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+// Settles with the promise, or rejects early if the signal fires first
+export const raceAbort = (promise, signal) => {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(createAbortError());
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+};
\ No newline at end of file
@@ -0,0 +1,30 @@
+// Picks the next chunk size for variable-size uploads: big chunks on fast links to
+// cut per-request overhead, small ones on slow or flaky links so a failure costs little
+
+// Aim for each chunk to take about this long on the wire
+export const TARGET_CHUNK_SECONDS = 4;
+
+// Keep sizes on 256KB boundaries so they stay friendly to storage backends
+const ALIGNMENT = 256 * 1024;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const align = (value) => Math.max(ALIGNMENT, Math.round(value / ALIGNMENT) * ALIGNMENT);
+
+export const nextChunkSize = ({ current, min, max, throughput = 0, concurrency = 1, failed = false }) => {
+  if (failed) {
+    return clamp(align(current / 2), min, max);
+  }
+
+  if (!throughput) {
+    return clamp(current, min, max);
+  }
+
+  // Parallel chunks share the measured throughput
+  const perChunkThroughput = throughput / Math.max(concurrency, 1);
+  const target = perChunkThroughput * TARGET_CHUNK_SECONDS;
+
+  // Move at most 2x per step so one odd sample doesn't swing the size wildly
+  const bounded = Math.min(current * 2, Math.max(current / 2, target));
+  return clamp(align(bounded), min, max);
+};
\ No newline at end of file
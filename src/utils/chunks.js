@@ -0,0 +1,44 @@
+// Byte ranges of chunks. Fixed-size uploads derive them from chunkIndex * chunkSize;
+// variable-size uploads plan each range as they go and keep them in chunkRanges.
+
+export const CHUNK_MODES = {
+  FIXED: 'fixed',
+  VARIABLE: 'variable'
+};
+
+export const isVariableChunking = (upload) => upload?.chunkMode === CHUNK_MODES.VARIABLE;
+
+export const getChunkRange = (upload, chunkIndex) => {
+  const planned = upload.chunkRanges?.[chunkIndex];
+  if (planned) {
+    return { start: planned[0], end: planned[1] };
+  }
+
+  const start = chunkIndex * upload.chunkSize;
+  const end = Math.min(start + upload.chunkSize, upload.filesize);
+  return { start, end };
+};
+
+export const calculateUploadedBytes = (upload, uploadedChunks) =>
+  uploadedChunks.reduce((total, chunkIndex) => {
+    const { start, end } = getChunkRange(upload, chunkIndex);
+    return total + (end - start);
+  }, 0);
+
+// First byte no chunk has been planned for yet
+export const getPlannedBytes = (upload) =>
+  Object.values(upload.chunkRanges || {}).reduce((max, [, end]) => Math.max(max, end), 0);
+
+export const getNextChunkIndex = (upload) =>
+  Object.keys(upload.chunkRanges || {}).reduce((max, index) => Math.max(max, Number(index) + 1), 0);
+
+// Server reports [{ chunkIndex, offset, size }]; it wins for every chunk it knows about
+export const mergeServerChunks = (chunkRanges = {}, serverChunks) => {
+  if (!Array.isArray(serverChunks)) return chunkRanges;
+
+  const merged = { ...chunkRanges };
+  serverChunks.forEach(({ chunkIndex, offset, size }) => {
+    merged[chunkIndex] = [Number(offset), Number(offset) + Number(size)];
+  });
+  return merged;
+};
\ No newline at end of file
@@ -0,0 +1,69 @@
+import {
+  calculateUploadedBytes,
+  getChunkRange,
+  getNextChunkIndex,
+  getPlannedBytes,
+  isVariableChunking,
+  mergeServerChunks
+} from './chunks';
+
+const fixed = { chunkMode: 'fixed', chunkSize: 100, filesize: 250 };
+const variable = { chunkMode: 'variable', chunkSize: 100, filesize: 250, chunkRanges: { 0: [0, 50], 1: [50, 150] } };
+
+describe('getChunkRange', () => {
+  test('derives fixed ranges from the chunk size', () => {
+    expect(getChunkRange(fixed, 0)).toEqual({ start: 0, end: 100 });
+    expect(getChunkRange(fixed, 1)).toEqual({ start: 100, end: 200 });
+  });
+
+  test('cuts the last fixed chunk off at the end of the file', () => {
+    expect(getChunkRange(fixed, 2)).toEqual({ start: 200, end: 250 });
+  });
+
+  test('uses planned ranges when there are any', () => {
+    expect(getChunkRange(variable, 1)).toEqual({ start: 50, end: 150 });
+  });
+});
+
+describe('calculateUploadedBytes', () => {
+  test('adds up the size of each uploaded chunk', () => {
+    expect(calculateUploadedBytes(fixed, [0, 2])).toBe(150);
+    expect(calculateUploadedBytes(variable, [0, 1])).toBe(150);
+    expect(calculateUploadedBytes(fixed, [])).toBe(0);
+  });
+});
+
+describe('planned chunks', () => {
+  test('getPlannedBytes is the end of the furthest range', () => {
+    expect(getPlannedBytes(variable)).toBe(150);
+    expect(getPlannedBytes({ chunkRanges: { 3: [300, 400], 1: [100, 200] } })).toBe(400);
+    expect(getPlannedBytes(fixed)).toBe(0);
+  });
+
+  test('getNextChunkIndex follows the highest planned index', () => {
+    expect(getNextChunkIndex(variable)).toBe(2);
+    expect(getNextChunkIndex({ chunkRanges: { 4: [0, 1] } })).toBe(5);
+    expect(getNextChunkIndex(fixed)).toBe(0);
+  });
+
+  test('isVariableChunking checks the chunk mode', () => {
+    expect(isVariableChunking(variable)).toBe(true);
+    expect(isVariableChunking(fixed)).toBe(false);
+    expect(isVariableChunking(null)).toBe(false);
+  });
+});
+
+describe('mergeServerChunks', () => {
+  test('lets the server win for the chunks it reports', () => {
+    const merged = mergeServerChunks(variable.chunkRanges, [
+      { chunkIndex: 1, offset: '50', size: '120' },
+      { chunkIndex: 2, offset: 170, size: 80 }
+    ]);
+    expect(merged).toEqual({ 0: [0, 50], 1: [50, 170], 2: [170, 250] });
+    expect(variable.chunkRanges[1]).toEqual([50, 150]);
+  });
+
+  test('keeps the local ranges when the server sends no list', () => {
+    expect(mergeServerChunks(variable.chunkRanges, undefined)).toBe(variable.chunkRanges);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,61 @@
+// Normalizes picked or dropped files into { file, relativePath } pairs so
+// the folder structure can be rebuilt on the server
+
+const readEntries = (reader) =>
+  new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+const entryToFile = (entry) =>
+  new Promise((resolve, reject) => entry.file(resolve, reject));
+
+const stripLeadingSlash = (path) => path.replace(/^\/+/, '');
+
+const walkEntry = async (entry, results) => {
+  if (entry.isFile) {
+    const file = await entryToFile(entry);
+    results.push({ file, relativePath: stripLeadingSlash(entry.fullPath || file.name) });
+    return;
+  }
+
+  if (entry.isDirectory) {
+    const reader = entry.createReader();
+    // readEntries hands back directory contents in batches until it returns an empty one
+    let batch = await readEntries(reader);
+    while (batch.length > 0) {
+      for (const child of batch) {
+        await walkEntry(child, results);
+      }
+      batch = await readEntries(reader);
+    }
+  }
+};
+
+export const getFilesFromFileList = (fileList) =>
+  Array.from(fileList || []).map(file => ({
+    file,
+    relativePath: file.webkitRelativePath || file.name
+  }));
+
+export const getFilesFromDataTransfer = async (dataTransfer) => {
+  if (!dataTransfer) return [];
+
+  // Entries have to be taken before the first await; the browser empties
+  // the DataTransfer once the drop handler returns
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file' && typeof item.webkitGetAsEntry === 'function')
+    .map(item => item.webkitGetAsEntry())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return getFilesFromFileList(dataTransfer.files);
+  }
+
+  const results = [];
+  for (const entry of entries) {
+    try {
+      await walkEntry(entry, results);
+    } catch (error) {
+      console.error('Failed to read dropped entry', entry.fullPath, ':', error);
+    }
+  }
+  return results;
+};
\ No newline at end of file
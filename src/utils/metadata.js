@@ -0,0 +1,44 @@
+// Per-upload metadata sent on initiate. The fields below get their own inputs in the
+// upload card; any other key is a custom field. Values are strings, except tags.
+
+export const METADATA_FIELDS = [
+  { key: 'projectId', label: 'Project ID' },
+  { key: 'destinationFolder', label: 'Destination folder' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'description', label: 'Description' }
+];
+
+const KNOWN_KEYS = METADATA_FIELDS.map(({ key }) => key);
+
+const normalizeTags = (value) => {
+  const tags = (Array.isArray(value) ? value : String(value).split(','))
+    .map(tag => String(tag).trim())
+    .filter(Boolean);
+  return [...new Set(tags)];
+};
+
+// Trims everything, drops empty values and accepts tags as an array or a comma-separated string
+export const normalizeMetadata = (metadata) => {
+  const normalized = {};
+
+  Object.entries(metadata || {}).forEach(([rawKey, value]) => {
+    const key = String(rawKey).trim();
+    if (!key || value == null) return;
+
+    if (key === 'tags') {
+      const tags = normalizeTags(value);
+      if (tags.length > 0) normalized.tags = tags;
+      return;
+    }
+
+    const text = String(value).trim();
+    if (text) normalized[key] = text;
+  });
+
+  return normalized;
+};
+
+export const getCustomFields = (metadata) =>
+  Object.entries(metadata || {}).filter(([key]) => !KNOWN_KEYS.includes(key));
+
+export const hasMetadata = (metadata) => Object.keys(metadata || {}).length > 0;
\ No newline at end of file
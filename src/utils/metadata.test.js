@@ -0,0 +1,50 @@
+import { getCustomFields, hasMetadata, normalizeMetadata } from './metadata';
+
+describe('normalizeMetadata', () => {
+  test('trims keys and values and drops empty ones', () => {
+    expect(normalizeMetadata({
+      ' projectId ': ' 42 ',
+      description: '   ',
+      destinationFolder: null,
+      '  ': 'no key',
+      owner: 'ops'
+    })).toEqual({ projectId: '42', owner: 'ops' });
+  });
+
+  test('turns values into strings', () => {
+    expect(normalizeMetadata({ projectId: 42, archived: false })).toEqual({ projectId: '42', archived: 'false' });
+  });
+
+  test('accepts tags as a comma-separated string', () => {
+    expect(normalizeMetadata({ tags: ' a, b,,a , c ' })).toEqual({ tags: ['a', 'b', 'c'] });
+  });
+
+  test('accepts tags as an array', () => {
+    expect(normalizeMetadata({ tags: [' x ', '', 'y', 'x'] })).toEqual({ tags: ['x', 'y'] });
+  });
+
+  test('drops tags that end up empty', () => {
+    expect(normalizeMetadata({ tags: ' , ' })).toEqual({});
+  });
+
+  test('handles missing metadata', () => {
+    expect(normalizeMetadata(undefined)).toEqual({});
+  });
+});
+
+describe('getCustomFields', () => {
+  test('returns only the keys without their own input', () => {
+    expect(getCustomFields({ projectId: '1', tags: ['a'], owner: 'ops', team: 'web' })).toEqual([
+      ['owner', 'ops'],
+      ['team', 'web']
+    ]);
+  });
+});
+
+describe('hasMetadata', () => {
+  test('is false for empty or missing metadata', () => {
+    expect(hasMetadata({})).toBe(false);
+    expect(hasMetadata(null)).toBe(false);
+    expect(hasMetadata({ owner: 'ops' })).toBe(true);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,56 @@
+// Chunk timing maths for speed, ETA and elapsed time readouts
+
+export const THROUGHPUT_WINDOW_MS = 10000;
+const MAX_CHUNK_TIMINGS = 20;
+const MAX_THROUGHPUT_HISTORY = 60;
+const SMOOTHING_FACTOR = 0.3;
+
+export const addChunkTiming = (timings = [], timing) =>
+  [...timings, timing].slice(-MAX_CHUNK_TIMINGS);
+
+export const addThroughputSample = (history = [], sample) =>
+  [...history, sample].slice(-MAX_THROUGHPUT_HISTORY);
+
+// Bytes per second over chunks that finished inside the window. Parallel
+// chunks overlap, so divide by the span they cover rather than summing durations.
+export const calculateThroughput = (timings = [], now = Date.now(), windowMs = THROUGHPUT_WINDOW_MS) => {
+  const recent = timings.filter(t => t.finishedAt >= now - windowMs);
+  if (recent.length === 0) return 0;
+
+  const bytes = recent.reduce((total, t) => total + t.bytes, 0);
+  const spanStart = Math.min(...recent.map(t => t.startedAt));
+  const spanEnd = Math.max(...recent.map(t => t.finishedAt));
+  const seconds = Math.max(spanEnd - spanStart, 1) / 1000;
+
+  return bytes / seconds;
+};
+
+export const smoothThroughput = (previous, current) =>
+  previous ? SMOOTHING_FACTOR * current + (1 - SMOOTHING_FACTOR) * previous : current;
+
+export const estimateRemainingSeconds = (remainingBytes, bytesPerSecond) =>
+  bytesPerSecond > 0 ? remainingBytes / bytesPerSecond : null;
+
+export const getElapsedMs = (upload, now = Date.now()) =>
+  (upload.elapsedMs || 0) + (upload.uploadingSince ? now - upload.uploadingSince : 0);
+
+// Acknowledged chunks plus whatever is currently on the wire
+export const getTransferredBytes = (upload, inFlightBytes = 0) =>
+  Math.min((upload.uploadedBytes || 0) + inFlightBytes, upload.filesize || 0);
+
+export const formatRate = (bytesPerSecond) => {
+  if (!bytesPerSecond) return '0 KB/s';
+  if (bytesPerSecond >= 1024 * 1024) return `${(bytesPerSecond / (1024 * 1024)).toFixed(2)} MB/s`;
+  return `${(bytesPerSecond / 1024).toFixed(0)} KB/s`;
+};
+
+export const formatDuration = (seconds) => {
+  if (seconds == null || !Number.isFinite(seconds)) return '--';
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m ${String(secs).padStart(2, '0')}s`;
+  return `${secs}s`;
+};
\ No newline at end of file